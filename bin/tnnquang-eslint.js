@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+const { run } = require("../lib/cli");
+
+// `tnnquang-eslint migrate-aliases --dry-run | head` closes the pipe early;
+// stop quietly instead of crashing on the next write
+process.stdout.on("error", (error) => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit();
+});
+
+run(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    process.stderr.write(`tnnquang-eslint: ${error.message}\n`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Command line interface shipped as `tnnquang-eslint`. The only
+ * command is `migrate-aliases`, see ./migrate-aliases.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { migrateAliases } = require("./migrate-aliases");
+
+const USAGE = `Usage: tnnquang-eslint migrate-aliases [dir] [options]
+
+Rewrites relative imports, re-exports, requires and dynamic imports under
+dir (default: the current directory) to path aliases, with the alias
+resolution of the enforce-path-alias rule. Module boundaries don't apply:
+every relative import an alias covers is rewritten. Files ignored by git or
+by the ESLint config and build output (dist, build, out, .next, .nuxt,
+coverage) are skipped.
+
+Options:
+  --dry-run             Print a unified diff instead of writing files
+  --project <value>     "nearest" or a tsconfig glob; repeat for several globs
+  --config-file <path>  Config file to read aliases from (default: tsconfig.json)
+  --base-url <path>     Base URL, instead of the one from the config
+  --ignore <glob>       Skip files or directories matching a glob; repeatable
+  -h, --help            Show this help
+`;
+
+// Options that take a value, and the rule option each one sets (none for
+// --ignore)
+const VALUE_OPTIONS = {
+  "--project": "project",
+  "--config-file": "configFile",
+  "--base-url": "baseUrl",
+  "--ignore": null,
+};
+
+function parseArgs(args) {
+  const parsed = {
+    command: null,
+    dir: null,
+    dryRun: false,
+    help: false,
+    ignore: [],
+  };
+  const ruleOptions = {};
+  const projects = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-h" || arg === "--help") {
+      parsed.help = true;
+    } else if (arg === "--dry-run") {
+      parsed.dryRun = true;
+    } else if (VALUE_OPTIONS[arg] !== undefined) {
+      const value = args[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === "--project") {
+        projects.push(value);
+      } else if (arg === "--ignore") {
+        parsed.ignore.push(value);
+      } else {
+        ruleOptions[VALUE_OPTIONS[arg]] = value;
+      }
+    } else if (arg.startsWith("-")) {
+      throw new Error(`unknown option ${arg}`);
+    } else if (!parsed.command) {
+      parsed.command = arg;
+    } else if (!parsed.dir) {
+      parsed.dir = arg;
+    } else {
+      throw new Error(`unexpected argument ${arg}`);
+    }
+  }
+
+  if (projects.length > 0) {
+    ruleOptions.project = projects.length === 1 ? projects[0] : projects;
+  }
+  return { ...parsed, ruleOptions };
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+// Per-alias counts of rewritten specifiers and the files they are in
+function summarizeAliases(changed) {
+  const byAlias = new Map();
+  for (const { fileName, aliases } of changed) {
+    for (const alias of aliases) {
+      if (!byAlias.has(alias)) {
+        byAlias.set(alias, { imports: 0, files: new Set() });
+      }
+      const entry = byAlias.get(alias);
+      entry.imports++;
+      entry.files.add(fileName);
+    }
+  }
+  return byAlias;
+}
+
+function formatSummary(result, dryRun) {
+  const lines = [];
+  const importCount = result.changed.reduce(
+    (count, file) => count + file.aliases.length,
+    0
+  );
+
+  if (importCount === 0) {
+    lines.push("No relative imports to rewrite.");
+  } else {
+    lines.push(
+      `${dryRun ? "Would rewrite" : "Rewrote"} ${plural(
+        importCount,
+        "import"
+      )} in ${plural(result.changed.length, "file")}:`
+    );
+    const byAlias = summarizeAliases(result.changed);
+    const width = Math.max(
+      ...Array.from(byAlias.keys(), (alias) => alias.length)
+    );
+    for (const [alias, { imports, files }] of byAlias) {
+      lines.push(
+        `  ${alias.padEnd(width)}  ${plural(imports, "import")} in ${plural(
+          files.size,
+          "file"
+        )}`
+      );
+    }
+  }
+
+  if (result.unfixable.length > 0) {
+    lines.push(
+      `Could not rewrite ${plural(result.unfixable.length, "import")}:`
+    );
+    for (const { fileName, line, column, reason } of result.unfixable) {
+      lines.push(`  ${fileName}:${line}:${column}  ${reason}`);
+    }
+  }
+
+  if (result.skipped.length > 0) {
+    lines.push(`Skipped ${plural(result.skipped.length, "file")}:`);
+    for (const { fileName, reason } of result.skipped) {
+      lines.push(`  ${fileName}  ${reason}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Run the CLI with `args` (without the node and script paths). Resolves to
+ * the exit code: 0 on success, 1 when some imports or files could not be
+ * rewritten and 2 for usage errors.
+ */
+async function run(
+  args,
+  { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    stderr.write(`tnnquang-eslint: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.help || !parsed.command) {
+    (parsed.help ? stdout : stderr).write(USAGE);
+    return parsed.help ? 0 : 2;
+  }
+  if (parsed.command !== "migrate-aliases") {
+    stderr.write(
+      `tnnquang-eslint: unknown command ${parsed.command}\n\n${USAGE}`
+    );
+    return 2;
+  }
+
+  const dirArg = parsed.dir || ".";
+  const dir = path.resolve(cwd, dirArg);
+  if (!isDirectory(dir)) {
+    stderr.write(`tnnquang-eslint: ${dirArg} is not a directory\n\n${USAGE}`);
+    return 2;
+  }
+
+  const result = await migrateAliases({
+    cwd,
+    dir,
+    ruleOptions: parsed.ruleOptions,
+    ignore: parsed.ignore,
+    write: !parsed.dryRun,
+  });
+
+  for (const warning of new Set(result.warnings)) {
+    stderr.write(`warning: ${warning}\n`);
+  }
+  if (parsed.dryRun) {
+    for (const { diff } of result.changed) {
+      stdout.write(diff);
+    }
+  }
+  stdout.write(formatSummary(result, parsed.dryRun));
+
+  return result.unfixable.length > 0 || result.skipped.length > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview `tnnquang-eslint migrate-aliases`: rewrites relative module
+ * specifiers to path aliases across a directory in one pass. Each file is
+ * checked by `enforce-path-alias` itself, so aliases are chosen as the rule
+ * fixes them and alias discovery is shared across files through the resolver
+ * caches. Module boundaries don't apply (`boundary: "none"`): every relative
+ * specifier an alias covers is rewritten, not only those the rule reports
+ * with its own options. Files that git or ESLint ignore, and build output,
+ * are left alone.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const enforcePathAlias = require("../rules/enforce-path-alias");
+const { resolveAliasConfig } = require("../utils/alias-resolver");
+const { createAliasPatterns } = require("../utils/alias-matcher");
+const { expandGlobs, matchesGlob } = require("../utils/glob");
+const { createUnifiedDiff } = require("../utils/unified-diff");
+
+const RULE_ID = "@tnnquang/eslint/enforce-path-alias";
+
+const SOURCE_FILES_GLOB = "**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts,vue,svelte}";
+
+// Build output and framework caches, skipped even when not gitignored
+const DEFAULT_IGNORE_PATTERNS = [
+  "**/dist",
+  "**/build",
+  "**/out",
+  "**/.next",
+  "**/.nuxt",
+  "**/coverage",
+];
+
+const DEFAULT_SUPPORTED_EXTENSIONS = [
+  ".js",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".vue",
+  ".svelte",
+];
+
+// Rule messages whose fix rewrites a specifier to an alias
+const REWRITE_MESSAGE_IDS = new Set([
+  "useAlias",
+  "useAliasRequire",
+  "useAliasExport",
+  "useAliasCall",
+  "aliasResolvesElsewhere",
+]);
+
+// Parser each file type needs beyond espree, by extension
+const PARSER_PACKAGES = {
+  ".ts": "@typescript-eslint/parser",
+  ".tsx": "@typescript-eslint/parser",
+  ".mts": "@typescript-eslint/parser",
+  ".cts": "@typescript-eslint/parser",
+  ".vue": "vue-eslint-parser",
+  ".svelte": "svelte-eslint-parser",
+};
+
+// Load a parser from the project being migrated, or null when missing
+function loadParser(packageName, cwd) {
+  try {
+    return require(require.resolve(packageName, { paths: [cwd, __dirname] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+// The ESLint of the project being migrated, or the plugin's own
+function requireEslint(cwd) {
+  return require(require.resolve("eslint", { paths: [cwd, __dirname] }));
+}
+
+function getLinterVersion(Linter) {
+  const [major, minor] = String(Linter.version || "0.0")
+    .split(".")
+    .map(Number);
+  return { major, minor };
+}
+
+/**
+ * Run `enforce-path-alias` on one file and return its messages. Uses flat
+ * config where the installed ESLint supports it (8.23+) and eslintrc
+ * otherwise.
+ */
+function createVerifier(cwd, ruleOptions) {
+  const { Linter } = requireEslint(cwd);
+  const { major, minor } = getLinterVersion(Linter);
+  const useFlatConfig = major > 8 || (major === 8 && minor >= 23);
+  const parsers = new Map();
+
+  function getParser(extension) {
+    const packageName = PARSER_PACKAGES[extension];
+    if (!packageName) return { parser: null };
+    if (!parsers.has(packageName)) {
+      parsers.set(packageName, loadParser(packageName, cwd));
+    }
+    const parser = parsers.get(packageName);
+    if (!parser) return { missing: packageName };
+
+    // Vue and Svelte parsers hand <script lang="ts"> to the TS parser
+    const scriptParser =
+      extension === ".vue" || extension === ".svelte"
+        ? getParser(".ts").parser
+        : null;
+    return { parser, scriptParser };
+  }
+
+  const parserOptions = (scriptParser) => ({
+    ecmaFeatures: { jsx: true },
+    ...(scriptParser ? { parser: scriptParser } : {}),
+  });
+
+  if (useFlatConfig) {
+    const linter = new Linter({ cwd, configType: "flat" });
+    const plugin = { rules: { "enforce-path-alias": enforcePathAlias } };
+
+    return function verify(text, filePath) {
+      const extension = path.extname(filePath);
+      const { parser, scriptParser, missing } = getParser(extension);
+      if (missing) return { missing };
+
+      const config = [
+        {
+          // A bare "**/*" does not make flat config lint .ts files
+          files: [`**/*${extension}`],
+          languageOptions: {
+            ecmaVersion: "latest",
+            sourceType: extension === ".cjs" ? "commonjs" : "module",
+            ...(parser ? { parser } : {}),
+            parserOptions: parserOptions(scriptParser),
+          },
+          plugins: { "@tnnquang/eslint": plugin },
+          rules: { [RULE_ID]: ["error", ruleOptions] },
+        },
+      ];
+      return { messages: linter.verify(text, config, filePath) };
+    };
+  }
+
+  const linter = new Linter({ cwd });
+  linter.defineRule(RULE_ID, enforcePathAlias);
+
+  return function verify(text, filePath) {
+    const extension = path.extname(filePath);
+    const { parser, scriptParser, missing } = getParser(extension);
+    if (missing) return { missing };
+
+    if (parser) linter.defineParser(extension, parser);
+    const config = {
+      ...(parser ? { parser: extension } : {}),
+      parserOptions: {
+        ecmaVersion: "latest",
+        sourceType: extension === ".cjs" ? "script" : "module",
+        ...parserOptions(scriptParser),
+      },
+      rules: { [RULE_ID]: ["error", ruleOptions] },
+    };
+    return { messages: linter.verify(text, config, filePath) };
+  };
+}
+
+// Alias key ("@/*") of a rewritten specifier; the most specific alias wins
+// as in module resolution
+function findAliasKey(specifier, filePath, cwd, ruleOptions) {
+  const { groups } = resolveAliasConfig({
+    cwd,
+    filename: filePath,
+    project: ruleOptions.project,
+    configFile: ruleOptions.configFile || "tsconfig.json",
+    manualPaths: ruleOptions.paths,
+    userBaseUrl: ruleOptions.baseUrl,
+    fallbackBaseUrl: ruleOptions.fallbackBaseUrl || "./src",
+    supportedExtensions: DEFAULT_SUPPORTED_EXTENSIONS,
+    isTypeScript: /\.(ts|tsx)$/.test(filePath),
+  });
+
+  let best = null;
+  for (const pattern of createAliasPatterns(groups)) {
+    const matches = pattern.isWildcard
+      ? specifier.startsWith(pattern.aliasPrefix) &&
+        specifier.endsWith(pattern.aliasSuffix)
+      : specifier === pattern.alias;
+    const specificity = pattern.isWildcard
+      ? pattern.aliasPrefix.length
+      : Infinity;
+    if (matches && (!best || specificity > best.specificity)) {
+      best = { alias: pattern.alias, specificity };
+    }
+  }
+  return best ? best.alias : specifier;
+}
+
+// Whether a path relative to the working directory, or a directory it is
+// in, matches one of the globs
+function matchesIgnorePattern(fileName, patterns) {
+  const segments = toPosix(fileName).split("/");
+  for (let length = 1; length <= segments.length; length++) {
+    const prefix = segments.slice(0, length).join("/");
+    if (patterns.some((pattern) => matchesGlob(prefix, pattern))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Files among `filePaths` that git ignores (.gitignore, info/exclude and
+// the global excludes). Nothing is ignored outside a git work tree or
+// without git.
+function getGitIgnoredPaths(filePaths, dir) {
+  const result = spawnSync("git", ["check-ignore", "--stdin", "-z"], {
+    cwd: dir,
+    input: filePaths.join("\0"),
+    encoding: "utf8",
+    maxBuffer: Infinity,
+  });
+  // Exit code 1 means nothing is ignored, 128 that `dir` is not in a repo
+  if (result.error || result.status !== 0) {
+    return new Set();
+  }
+  return new Set(result.stdout.split("\0").filter(Boolean));
+}
+
+// ESLint instance answering `isPathIgnored()` from the project's own
+// config: flat config where ESLint picks it (`loadESLint`, 8.57+),
+// eslintrc otherwise
+async function createEslintIgnoreChecker(cwd) {
+  const { ESLint, loadESLint } = requireEslint(cwd);
+  const ESLintClass = loadESLint ? await loadESLint({ cwd }) : ESLint;
+  return new ESLintClass({ cwd });
+}
+
+// Apply non-overlapping fixes, last first so earlier ranges stay valid
+function applyFixes(text, fixes) {
+  let output = text;
+  let lastStart = Infinity;
+  const sorted = fixes.slice().sort((a, b) => b.range[0] - a.range[0]);
+  for (const { range, text: replacement } of sorted) {
+    if (range[1] > lastStart) continue;
+    output = output.slice(0, range[0]) + replacement + output.slice(range[1]);
+    lastStart = range[0];
+  }
+  return output;
+}
+
+/**
+ * Rewrite relative specifiers under `dir` to aliases. `ruleOptions` are
+ * passed to `enforce-path-alias` (`project`, `configFile`, `paths`,
+ * `baseUrl`, ...). Files ignored by git or by the ESLint config, in build
+ * output directories or matching an `ignore` glob (relative to `cwd`) are
+ * not touched. Resolves to the changed files (with a unified diff and the
+ * aliases used), specifiers that could not be rewritten, files that were
+ * skipped and config warnings. Files are only written when `write` is set.
+ */
+async function migrateAliases({
+  cwd,
+  dir = cwd,
+  ruleOptions = {},
+  ignore = [],
+  write = false,
+}) {
+  const options = { ...ruleOptions, boundary: "none" };
+  const verify = createVerifier(cwd, options);
+  const result = { changed: [], unfixable: [], skipped: [], warnings: [] };
+  const ignorePatterns = [
+    ...DEFAULT_IGNORE_PATTERNS,
+    ...ignore.map((pattern) =>
+      toPosix(path.relative(cwd, path.resolve(cwd, pattern)))
+    ),
+  ];
+
+  const rootDir = path.resolve(cwd, dir);
+  const filePaths = expandGlobs([SOURCE_FILES_GLOB], rootDir).filter(
+    (filePath) =>
+      fs.statSync(filePath).isFile() &&
+      !matchesIgnorePattern(path.relative(cwd, filePath), ignorePatterns)
+  );
+  const gitIgnoredPaths = getGitIgnoredPaths(filePaths, rootDir);
+
+  let eslint = null;
+  try {
+    eslint = await createEslintIgnoreChecker(cwd);
+  } catch (error) {
+    result.warnings.push(`ESLint ignores are not applied (${error.message})`);
+  }
+
+  for (const filePath of filePaths) {
+    if (gitIgnoredPaths.has(filePath)) continue;
+    if (eslint) {
+      try {
+        if (await eslint.isPathIgnored(filePath)) continue;
+      } catch (error) {
+        result.warnings.push(
+          `ESLint ignores are not applied (${error.message})`
+        );
+        eslint = null;
+      }
+    }
+
+    const fileName = path.relative(cwd, filePath);
+    const source = fs.readFileSync(filePath, "utf8");
+    const bom = source.startsWith("\uFEFF") ? "\uFEFF" : "";
+    const text = source.slice(bom.length);
+
+    const { messages, missing } = verify(text, filePath);
+    if (missing) {
+      result.skipped.push({
+        fileName,
+        reason: `install ${missing} to parse it`,
+      });
+      continue;
+    }
+
+    const fixes = [];
+    const aliases = [];
+    for (const message of messages) {
+      if (message.fatal) {
+        result.skipped.push({ fileName, reason: message.message });
+      } else if (message.fix && REWRITE_MESSAGE_IDS.has(message.messageId)) {
+        fixes.push(message.fix);
+        aliases.push(
+          findAliasKey(message.fix.text.slice(1, -1), filePath, cwd, options)
+        );
+      } else if (REWRITE_MESSAGE_IDS.has(message.messageId)) {
+        result.unfixable.push({
+          fileName,
+          line: message.line,
+          column: message.column,
+          reason: message.message,
+        });
+      } else if (message.messageId === "noAliasesResolved") {
+        result.skipped.push({ fileName, reason: message.message });
+      } else {
+        result.warnings.push(message.message);
+      }
+    }
+
+    if (fixes.length === 0) continue;
+
+    const output = applyFixes(text, fixes);
+    result.changed.push({
+      fileName,
+      aliases,
+      diff: createUnifiedDiff(toPosix(fileName), text, output),
+    });
+    if (write) {
+      fs.writeFileSync(filePath, bom + output);
+    }
+  }
+
+  return result;
+}
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+module.exports = {
+  migrateAliases,
+};
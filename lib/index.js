@@ -1,77 +1,224 @@
+const path = require("path");
+const { name, version } = require("../package.json");
 const noArrowComponents = require("./rules/no-arrow-components");
 const noNamespaceImport = require("./rules/no-namespace-import");
 const enforcePathAlias = require("./rules/enforce-path-alias");
+const { detectFrameworks, JSX_FRAMEWORKS } = require("./utils/frameworks");
 
-module.exports = {
+const PLUGIN_NAME = "@tnnquang/eslint";
+
+// Rule severities for each preset. Every preset is exported twice: as an
+// eslintrc config under its own name and as a flat config under `flat/<name>`.
+const presets = {
+  recommended: {
+    "@tnnquang/eslint/no-arrow-components": "warn",
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  strict: {
+    "@tnnquang/eslint/no-arrow-components": "error",
+    "@tnnquang/eslint/no-namespace-import": "error",
+    "@tnnquang/eslint/enforce-path-alias": "error",
+  },
+  react: {
+    "@tnnquang/eslint/no-arrow-components": "warn",
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  vue: {
+    "@tnnquang/eslint/no-arrow-components": "off", // Vue components use different patterns
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  angular: {
+    "@tnnquang/eslint/no-arrow-components": "off", // Angular uses classes
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  nestjs: {
+    "@tnnquang/eslint/no-arrow-components": "off", // NestJS uses decorators and classes
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  nextjs: {
+    "@tnnquang/eslint/no-arrow-components": "warn",
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+  nuxt: {
+    "@tnnquang/eslint/no-arrow-components": "off", // Nuxt uses Vue components
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  },
+};
+
+const JSX_FILE_PATTERNS = ["*.jsx", "*.tsx"];
+
+function hasJsxFramework(frameworks) {
+  return frameworks.some((framework) => JSX_FRAMEWORKS.has(framework));
+}
+
+/**
+ * Build the `auto` config for the project containing `cwd`: the
+ * framework-neutral rules on every file, plus `no-arrow-components` on
+ * .jsx/.tsx files when React, Next.js or Solid is a dependency. In a
+ * monorepo whose root has none of them, each workspace is checked instead
+ * and the rule is limited to the files of those that do, so the patterns
+ * are relative to `cwd`, which should be the directory of the ESLint
+ * config. Returns an array of flat config objects, or an eslintrc config
+ * with `format: "eslintrc"`. With `debug`, prints what was detected to
+ * stderr.
+ */
+function createAutoConfig({
+  cwd = process.cwd(),
+  debug = false,
+  format = "flat",
+} = {}) {
+  const { packageJsonPath, frameworks, error, workspaces } =
+    detectFrameworks(cwd);
+
+  // Directories (relative to `cwd`, "" for all) whose JSX files are checked
+  const jsxDirs = hasJsxFramework(frameworks)
+    ? [""]
+    : workspaces
+        .filter((workspace) => hasJsxFramework(workspace.frameworks))
+        .map((workspace) =>
+          path.relative(cwd, workspace.dir).replace(/\\/g, "/")
+        );
+  const jsxFilePatterns = jsxDirs.flatMap((dir) =>
+    JSX_FILE_PATTERNS.map((pattern) => {
+      if (dir) return `${dir}/**/${pattern}`;
+      return format === "eslintrc" ? pattern : `**/${pattern}`;
+    })
+  );
+
+  const rules = {
+    "@tnnquang/eslint/no-namespace-import": "warn",
+    "@tnnquang/eslint/enforce-path-alias": "warn",
+  };
+  const jsxRules = {
+    "@tnnquang/eslint/no-arrow-components": "warn",
+  };
+
+  if (debug) {
+    const log = (message) =>
+      console.error(`[${PLUGIN_NAME}] auto config: ${message}`);
+    const describe = (detected) =>
+      detected.length > 0 ? detected.join(", ") : "no framework";
+    if (!packageJsonPath) {
+      log(`no package.json found above ${cwd}`);
+    } else if (error) {
+      log(`could not parse ${packageJsonPath} (${error})`);
+    } else {
+      log(`read ${packageJsonPath}`);
+    }
+    log(`detected ${describe(frameworks)}`);
+    for (const workspace of workspaces) {
+      const dir = path.relative(cwd, workspace.dir);
+      log(
+        workspace.error
+          ? `could not parse ${workspace.packageJsonPath} (${workspace.error})`
+          : `workspace ${dir}: detected ${describe(workspace.frameworks)}`
+      );
+    }
+    log(`${Object.keys(rules).join(", ")} on all files`);
+    if (jsxFilePatterns.length > 0) {
+      log(
+        `${Object.keys(jsxRules).join(", ")} on ${jsxFilePatterns.join(
+          ", "
+        )} files`
+      );
+    }
+  }
+
+  if (format === "eslintrc") {
+    return {
+      plugins: [PLUGIN_NAME],
+      rules,
+      overrides:
+        jsxFilePatterns.length > 0
+          ? [
+              {
+                files: jsxFilePatterns,
+                rules: jsxRules,
+              },
+            ]
+          : [],
+    };
+  }
+
+  const configs = [
+    {
+      name: `${PLUGIN_NAME}/flat/auto`,
+      plugins: { [PLUGIN_NAME]: plugin },
+      rules,
+    },
+  ];
+  if (jsxFilePatterns.length > 0) {
+    configs.push({
+      name: `${PLUGIN_NAME}/flat/auto/jsx`,
+      files: jsxFilePatterns,
+      plugins: { [PLUGIN_NAME]: plugin },
+      rules: jsxRules,
+    });
+  }
+  return configs;
+}
+
+const plugin = {
+  meta: {
+    name,
+    version,
+  },
   rules: {
     "no-arrow-components": noArrowComponents,
     "no-namespace-import": noNamespaceImport,
     "enforce-path-alias": enforcePathAlias,
   },
-  configs: {
-    recommended: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "warn",
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
-    },
-    strict: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "error",
-        "@tnnquang/eslint/no-namespace-import": "error",
-        "@tnnquang/eslint/enforce-path-alias": "error",
-      },
-    },
-    react: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "warn",
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
-    },
-    vue: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "off", // Vue components use different patterns
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
-    },
-    angular: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "off", // Angular uses classes
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
-    },
-    nestjs: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "off", // NestJS uses decorators and classes
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
-    },
-    nextjs: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "warn",
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
+  configs: {},
+  createAutoConfig,
+};
+
+for (const [presetName, rules] of Object.entries(presets)) {
+  // eslintrc: `extends: ["plugin:@tnnquang/eslint/<name>"]`
+  plugin.configs[presetName] = {
+    plugins: [PLUGIN_NAME],
+    rules: { ...rules },
+  };
+
+  // Flat config: `export default [plugin.configs["flat/<name>"]]`
+  plugin.configs[`flat/${presetName}`] = {
+    name: `${PLUGIN_NAME}/flat/${presetName}`,
+    plugins: {
+      [PLUGIN_NAME]: plugin,
     },
-    nuxt: {
-      plugins: ["@tnnquang/eslint"],
-      rules: {
-        "@tnnquang/eslint/no-arrow-components": "off", // Nuxt uses Vue components
-        "@tnnquang/eslint/no-namespace-import": "warn",
-        "@tnnquang/eslint/enforce-path-alias": "warn",
-      },
+    rules: { ...rules },
+  };
+}
+
+// The `auto` configs read package.json from the working directory, so they
+// are built on first use and then cached. They are not enumerable, so
+// tools that list `configs` do not touch the filesystem.
+function defineLazyConfig(configName, create) {
+  Object.defineProperty(plugin.configs, configName, {
+    enumerable: false,
+    configurable: true,
+    get() {
+      const value = create();
+      Object.defineProperty(plugin.configs, configName, {
+        value,
+        enumerable: false,
+        configurable: true,
+        writable: true,
+      });
+      return value;
     },
-  },
-};
+  });
+}
+
+defineLazyConfig("auto", () => createAutoConfig({ format: "eslintrc" }));
+// An array (a flat block scoped to the JSX files needs its own object), to
+// be spread into the config
+defineLazyConfig("flat/auto", () => createAutoConfig());
+
+module.exports = plugin;
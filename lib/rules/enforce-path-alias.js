@@ -1,5 +1,99 @@
 const path = require("path");
 const fs = require("fs");
+const {
+  getFilename,
+  getPhysicalFilename,
+  getCwd,
+  getSourceCode,
+} = require("../utils/context");
+const { resolveAliasConfig } = require("../utils/alias-resolver");
+const {
+  createAliasPatterns,
+  findBestAlias,
+  expandAliasSpecifier,
+  formatSpecifier,
+} = require("../utils/alias-matcher");
+const { matchesGlob } = require("../utils/glob");
+const {
+  INVALID_CONFIG_MESSAGE,
+  getOptionsWithSettings,
+  getConfigKey,
+  reportConfigProblems,
+} = require("../utils/settings");
+const {
+  resolveModulePath,
+  resolveAliasSpecifier,
+} = require("../utils/module-resolver");
+
+// Config files whose skipped aliases were already reported, by ESLint
+// configuration (see utils/settings), with the mtime they had then so an
+// edited file is reported again, and the file they were reported on, which
+// keeps reporting them through the passes of `--fix`
+const reportedConfigWarnings = new WeakMap();
+
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Shared settings this rule reads, see utils/settings
+const SHARED_SETTINGS = [
+  "rootDir",
+  "configFile",
+  "project",
+  "paths",
+  "baseUrl",
+  "fallbackBaseUrl",
+];
+
+// Calls whose first argument is a module path
+const DEFAULT_MODULE_CALL_NAMES = [
+  "require",
+  "require.resolve",
+  "jest.mock",
+  "jest.unmock",
+  "jest.doMock",
+  "jest.dontMock",
+  "jest.requireActual",
+  "jest.requireMock",
+  "jest.createMockFromModule",
+  "vi.mock",
+  "vi.unmock",
+  "vi.doMock",
+  "vi.doUnmock",
+  "vi.importActual",
+  "vi.importMock",
+];
+
+// Dotted name of a callee such as `jest.mock`, or null when not static
+function getCalleeName(callee) {
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+  if (callee.type === "MemberExpression" && !callee.computed) {
+    const objectName = getCalleeName(callee.object);
+    return objectName ? `${objectName}.${callee.property.name}` : null;
+  }
+  return null;
+}
+
+// Specifier style implied by the tsconfig moduleResolution
+function getDefaultSpecifierStyle(moduleResolution) {
+  if (moduleResolution === "node16" || moduleResolution === "nodenext") {
+    return { extensions: "always", collapseIndex: false };
+  }
+  if (moduleResolution === "bundler") {
+    return { extensions: "never", collapseIndex: true };
+  }
+  return { extensions: "as-is", collapseIndex: false };
+}
+
+function logResolution(message) {
+  console.error(`[@tnnquang/eslint] enforce-path-alias: ${message}`);
+}
 
 module.exports = {
   meta: {
@@ -15,16 +109,61 @@ module.exports = {
       {
         type: "object",
         properties: {
-          // Configuration mode for alias enforcement
+          // Legacy configuration mode, superseded by `boundary`. Defaults
+          // such as this one are left to the code, because flat config
+          // fills schema defaults into the options, where they would hide
+          // the shared settings.
           mode: {
             type: "string",
             enum: ["all", "direct-children"],
-            default: "direct-children",
+          },
+          // Module boundary: imports inside the importing file's module must
+          // be relative, imports across modules must use an alias. "none"
+          // aliases everything under baseUrl.
+          boundary: {
+            oneOf: [
+              { type: "string", enum: ["none"] },
+              {
+                type: "object",
+                properties: {
+                  // Folders N levels under baseUrl are modules
+                  depth: { type: "integer", minimum: 1 },
+                },
+                required: ["depth"],
+                additionalProperties: false,
+              },
+              {
+                type: "object",
+                properties: {
+                  // The nearest folder matching a glob is the module
+                  pattern: {
+                    oneOf: [
+                      { type: "string" },
+                      { type: "array", items: { type: "string" } },
+                    ],
+                  },
+                },
+                required: ["pattern"],
+                additionalProperties: false,
+              },
+            ],
           },
           // Automatically read from tsconfig.json
           configFile: {
             type: "string",
-            default: "tsconfig.json",
+          },
+          // "nearest" walks up from each linted file to its closest
+          // tsconfig/jsconfig; a glob or list of globs selects config files
+          // like parserOptions.project
+          project: {
+            oneOf: [
+              { type: "string" },
+              {
+                type: "array",
+                items: { type: "string" },
+                minItems: 1,
+              },
+            ],
           },
           // Manual configuration paths
           paths: {
@@ -34,10 +173,20 @@ module.exports = {
               items: { type: "string" },
             },
           },
+          // Aliases to use when several match, most preferred first
+          preferredAliases: {
+            type: "array",
+            items: { type: "string" },
+            default: [],
+          },
           // Base URL (usually src/)
           baseUrl: {
             type: "string",
-            default: "./src",
+          },
+          // Base URL when neither baseUrl nor the tsconfig sets one and no
+          // source folder is detected (default: ./src)
+          fallbackBaseUrl: {
+            type: "string",
           },
           // Excluded folders that don't require aliases
           exclude: {
@@ -56,25 +205,86 @@ module.exports = {
             type: "boolean",
             default: false,
           },
+          // Extensions in generated specifiers; defaults to "always" for
+          // NodeNext/Node16, "never" for Bundler and "as-is" otherwise
+          extensions: {
+            type: "string",
+            enum: ["always", "never", "as-is"],
+          },
+          // Drop a trailing "/index" from generated specifiers; defaults to
+          // true for Bundler moduleResolution
+          collapseIndex: {
+            type: "boolean",
+          },
+          // Report relative and alias imports that resolve to no file
+          reportUnresolved: {
+            type: "boolean",
+            default: false,
+          },
+          // Extra calls whose first argument is a module path
+          moduleCallNames: {
+            type: "array",
+            items: { type: "string" },
+            default: [],
+          },
+          // Log config cache hits/misses and resolution time to stderr
+          debugResolution: {
+            type: "boolean",
+            default: false,
+          },
         },
         additionalProperties: false,
       },
     ],
+    messages: {
+      useAlias:
+        "Use path alias '{{alias}}' instead of relative import '{{importPath}}'",
+      useAliasRequire:
+        "Use path alias '{{alias}}' instead of relative require '{{importPath}}'",
+      useAliasExport:
+        "Use path alias '{{alias}}' instead of relative re-export '{{importPath}}'",
+      useRelative:
+        "Use relative import '{{relativePath}}' instead of alias '{{importPath}}' within module '{{module}}'",
+      useAliasCall:
+        "Use path alias '{{alias}}' instead of relative path '{{importPath}}' in {{callee}}()",
+      aliasResolvesElsewhere:
+        "Path alias '{{alias}}' resolves to {{aliasTarget}} instead of {{target}}, so '{{importPath}}' is not autofixed",
+      unresolvedImport: "Import '{{importPath}}' does not resolve to a file",
+      noAliasesResolved:
+        "No path aliases could be resolved from {{sources}}, so relative imports are not checked.{{details}}",
+      configAliasesSkipped:
+        "Could not statically evaluate {{aliases}} in {{configFile}}; these aliases are not enforced.",
+      configUnparseable:
+        "Could not parse {{configFile}} ({{reason}}); its aliases are not enforced.",
+      invalidConfig: INVALID_CONFIG_MESSAGE,
+    },
   },
 
   create(context) {
-    const options = context.options[0] || {};
+    const { options, problems: configProblems } = getOptionsWithSettings(
+      context,
+      SHARED_SETTINGS
+    );
     const mode = options.mode || "direct-children";
+    const boundary = options.boundary;
     const configFile = options.configFile || "tsconfig.json";
+    const project = options.project;
     const manualPaths = options.paths;
+    const preferredAliases = options.preferredAliases || [];
     const userBaseUrl = options.baseUrl;
     const fallbackBaseUrl = options.fallbackBaseUrl || "./src";
     const excludeFolders = options.exclude || [];
     const supportedExtensions = options.supportedExtensions || [".js", ".jsx", ".ts", ".tsx", ".vue", ".svelte"];
     const includeDeclarationFiles = options.includeDeclarationFiles || false;
+    const debugResolution = options.debugResolution || false;
+    const reportUnresolved = options.reportUnresolved || false;
+    const moduleCallNames = new Set([
+      ...DEFAULT_MODULE_CALL_NAMES,
+      ...(options.moduleCallNames || []),
+    ]);
 
     // Check if current file is supported
-    const filename = context.getFilename();
+    const filename = getFilename(context);
     const isTypeScript = /\.(ts|tsx)$/.test(filename);
     const isDeclarationFile = /\.d\.ts$/.test(filename);
     
@@ -89,186 +299,111 @@ module.exports = {
       return {};
     }
 
-    // Auto-detect baseUrl from tsconfig or vite config
-    function detectBaseUrl() {
-      if (userBaseUrl) return userBaseUrl; // User has manually set baseUrl
+    // Code blocks from processors have virtual names such as
+    // "README.md/0.ts"; configs and imports are resolved from the file on
+    // disk
+    const physicalFilename = getPhysicalFilename(context);
 
-      const projectRoot = context.getCwd();
-
-      // Try to read from tsconfig.json to get baseUrl
-      const tsconfigPath = path.join(projectRoot, configFile);
-      if (fs.existsSync(tsconfigPath)) {
-        try {
-          const tsconfig = JSON.parse(fs.readFileSync(tsconfigPath, "utf8"));
-          if (tsconfig.compilerOptions?.baseUrl) {
-            return tsconfig.compilerOptions.baseUrl;
-          }
-        } catch (error) {
-          // Ignore
-        }
-      }
-
-      // Check common directories for TypeScript projects
-      const commonDirs = isTypeScript ? ["src", "lib", "app", "."] : ["src", "app", "lib", "."];
-      for (const dir of commonDirs) {
-        const dirPath = path.join(projectRoot, dir === "." ? "" : dir);
-        if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
-          // Check if there are JS/TS files in this directory
-          const files = fs.readdirSync(dirPath);
-          const hasSourceFiles = files.some(
-            (file) => supportedExtensions.some(ext => file.endsWith(ext)) && !file.startsWith(".")
-          );
-          if (hasSourceFiles || dir === "src" || dir === "app") {
-            return dir === "." ? "./" : `./${dir}`;
-          }
-        }
-      }
-
-      return fallbackBaseUrl;
+    if (options.mode && boundary) {
+      configProblems.push(
+        'enforce-path-alias ignores "mode" when "boundary" is set'
+      );
+    }
+    if (options.baseUrl && options.fallbackBaseUrl) {
+      configProblems.push(
+        'enforce-path-alias never uses "fallbackBaseUrl" when "baseUrl" is set'
+      );
+    }
+    if (options.configFile && project && project !== "nearest") {
+      configProblems.push(
+        'enforce-path-alias ignores "configFile" when "project" lists config files'
+      );
     }
 
-    function resolveProjectReferences(tsconfigPath) {
-      try {
-        const tsconfig = JSON.parse(fs.readFileSync(tsconfigPath, "utf8"));
-        const projectRoot = path.dirname(tsconfigPath);
-
-        if (tsconfig.references) {
-          const allPaths = {};
-
-          if (tsconfig.compilerOptions?.paths) {
-            Object.assign(allPaths, tsconfig.compilerOptions.paths);
-          }
-
-          for (const ref of tsconfig.references) {
-            const refPath = path.resolve(projectRoot, ref.path);
-            const refTsconfigPath =
-              fs.existsSync(refPath) && fs.statSync(refPath).isFile()
-                ? refPath
-                : path.join(refPath, "tsconfig.json");
-
-            if (fs.existsSync(refTsconfigPath)) {
-              try {
-                const refTsconfig = JSON.parse(
-                  fs.readFileSync(refTsconfigPath, "utf8")
-                );
-                if (refTsconfig.compilerOptions?.paths) {
-                  Object.assign(allPaths, refTsconfig.compilerOptions.paths);
-                }
-              } catch (error) {
-                // Ignore reference tsconfig errors
-              }
-            }
-          }
-
-          return allPaths;
-        }
+    // `rootDir` from the shared settings stands in for the working directory
+    const cwd = options.rootDir
+      ? path.resolve(getCwd(context), options.rootDir)
+      : getCwd(context);
+
+    // Discovery results are cached across files, see utils/alias-resolver
+    const {
+      projectRoot,
+      tsconfigPath,
+      baseUrl: finalBaseUrl,
+      groups: pathMappings,
+      moduleResolution,
+      errors: configErrors,
+      warnings: configWarnings,
+    } = resolveAliasConfig(
+      {
+        cwd,
+        filename: physicalFilename,
+        project,
+        configFile,
+        manualPaths,
+        userBaseUrl,
+        fallbackBaseUrl,
+        supportedExtensions,
+        isTypeScript,
+      },
+      debugResolution ? logResolution : null
+    );
+
+    const defaultStyle = getDefaultSpecifierStyle(moduleResolution);
+    const specifierStyle = {
+      extensions: options.extensions || defaultStyle.extensions,
+      collapseIndex:
+        options.collapseIndex !== undefined
+          ? options.collapseIndex
+          : defaultStyle.collapseIndex,
+    };
 
-        return tsconfig.compilerOptions?.paths || {};
-      } catch (error) {
-        return {};
-      }
+    function isInside(dir, filePath) {
+      const relativePath = path.relative(dir, filePath);
+      return !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
     }
 
-    function getPathMappings() {
-      if (manualPaths) {
-        return manualPaths;
+    // Root folder of the module the given file belongs to, or null
+    function getModuleRoot(filePath) {
+      if (!boundary || boundary === "none") {
+        return null;
       }
 
-      const projectRoot = context.getCwd();
-
-      const tsconfigPath = path.join(projectRoot, configFile);
-      if (fs.existsSync(tsconfigPath)) {
-        const paths = resolveProjectReferences(tsconfigPath);
-        if (Object.keys(paths).length > 0) {
-          return paths;
-        }
+      if (boundary.depth) {
+        const srcPath = path.resolve(projectRoot, finalBaseUrl);
+        const fileDir = path.dirname(filePath);
+        if (!isInside(srcPath, fileDir)) return null;
+
+        const segments = path
+          .relative(srcPath, fileDir)
+          .split(path.sep)
+          .filter(Boolean);
+        if (segments.length < boundary.depth) return null;
+        return path.join(srcPath, ...segments.slice(0, boundary.depth));
       }
 
-      // Try read vite.config.js/ts
-      const viteConfigPaths = [
-        path.join(projectRoot, "vite.config.js"),
-        path.join(projectRoot, "vite.config.ts"),
-        path.join(projectRoot, "vite.config.mjs"),
-        path.join(projectRoot, "vite.config.mts"),
-      ];
-
-      for (const viteConfigPath of viteConfigPaths) {
-        if (fs.existsSync(viteConfigPath)) {
-          try {
-            const viteConfig = fs.readFileSync(viteConfigPath, "utf8");
-            const patterns = [
-              /alias\s*:\s*{([^}]+)}/s,
-              /resolve\s*:\s*{[^}]*alias\s*:\s*{([^}]+)}/s,
-            ];
-
-            for (const pattern of patterns) {
-              const aliasMatch = viteConfig.match(pattern);
-              if (aliasMatch) {
-                const aliases = {};
-                const aliasContent = aliasMatch[1];
-
-                // Handle different formats
-                const aliasRegexes = [
-                  // '@': path.resolve(__dirname, 'src')
-                  /['"`](@[^'"`]+)['"`]\s*:\s*path\.resolve\([^,)]*,\s*['"`]([^'"`]+)['"`]\)/g,
-                  // '@': './src'
-                  /['"`](@[^'"`]+)['"`]\s*:\s*['"`]([^'"`]+)['"`]/g,
-                  // '~': path.join(__dirname, 'app')
-                  /['"`](~[^'"`]*)['"`]\s*:\s*path\.\w+\([^,)]*,\s*['"`]([^'"`]+)['"`]\)/g,
-                ];
-
-                for (const aliasRegex of aliasRegexes) {
-                  let match;
-                  while ((match = aliasRegex.exec(aliasContent)) !== null) {
-                    const aliasKey = match[1];
-                    const aliasPath = match[2];
-
-                    // Handle relative path
-                    const normalizedPath = aliasPath.startsWith("./")
-                      ? aliasPath
-                      : `./${aliasPath}`;
-                    aliases[aliasKey + "/*"] = [normalizedPath + "/*"];
-                  }
-                }
-
-                if (Object.keys(aliases).length > 0) {
-                  return aliases;
-                }
-              }
-            }
-          } catch (error) {
-            // Ignore errors
-          }
+      const patterns = (
+        Array.isArray(boundary.pattern) ? boundary.pattern : [boundary.pattern]
+      ).map((pattern) => pattern.replace(/^\.\//, "").replace(/\/$/, ""));
+
+      for (
+        let dir = path.dirname(filePath);
+        dir !== projectRoot && isInside(projectRoot, dir);
+        dir = path.dirname(dir)
+      ) {
+        const relativeDir = path.relative(projectRoot, dir);
+        if (patterns.some((pattern) => matchesGlob(relativeDir, pattern))) {
+          return dir;
         }
       }
-
-      return {};
+      return null;
     }
 
-    // Detect baseUrl after having context
-    const finalBaseUrl = detectBaseUrl();
-
-    // Convert path mapping to regex patterns
-    function createAliasPatterns(pathMappings) {
-      const patterns = [];
-
-      for (const [alias, targets] of Object.entries(pathMappings)) {
-        const aliasPattern = alias.replace("/*", "");
-        const targetPath = targets[0]?.replace("/*", "") || "";
-
-        patterns.push({
-          alias: aliasPattern,
-          targetPath: path.resolve(context.getCwd(), finalBaseUrl, targetPath),
-          aliasRegex: new RegExp(`^${aliasPattern.replace("*", ".*")}`),
-        });
-      }
-
-      return patterns;
-    }
+    const moduleRoot = getModuleRoot(physicalFilename);
 
     // Check if file is in direct children of src
     function isDirectChildOfSrc(filePath) {
-      const srcPath = path.resolve(context.getCwd(), finalBaseUrl);
+      const srcPath = path.resolve(projectRoot, finalBaseUrl);
       const relativePath = path.relative(srcPath, filePath);
       const pathParts = relativePath.split(path.sep);
 
@@ -288,100 +423,364 @@ module.exports = {
         path.dirname(currentFilePath),
         importPath
       );
-      const relativeToCwd = path.relative(context.getCwd(), resolvedImportPath);
+      const relativeToRoot = path.relative(projectRoot, resolvedImportPath);
 
       for (const excludeFolder of excludeFolders) {
-        if (relativeToCwd.startsWith(excludeFolder)) {
+        if (relativeToRoot.startsWith(excludeFolder)) {
           return false;
         }
       }
 
-      if (mode === "direct-children") {
+      // Imports within the file's own module stay relative
+      if (moduleRoot && isInside(moduleRoot, resolvedImportPath)) {
+        return false;
+      }
+
+      if (!boundary && mode === "direct-children") {
         return isDirectChildOfSrc(resolvedImportPath);
       }
 
-      // mode === 'all'
-      const srcPath = path.resolve(context.getCwd(), finalBaseUrl);
-      return resolvedImportPath.startsWith(srcPath);
+      // mode === 'all' or a boundary
+      const srcPath = path.resolve(projectRoot, finalBaseUrl);
+      return isInside(srcPath, resolvedImportPath);
     }
 
-    // Find matching alias for import path
-    function findMatchingAlias(importPath, currentFilePath, patterns) {
+    // Apply `extensions`/`collapseIndex` to a specifier resolving to
+    // `filePath`. Exact aliases and aliases with text after "*" (such as
+    // "#utils/*.js") fix the form of the specifier themselves.
+    function formatGeneratedSpecifier(specifier, filePath, alias) {
+      if (
+        !filePath ||
+        specifier.includes("?") ||
+        (alias && !alias.endsWith("*"))
+      ) {
+        return specifier;
+      }
+      return formatSpecifier(specifier, filePath, specifierStyle);
+    }
+
+    // Find the best alias for import path
+    function findMatchingAlias(
+      importPath,
+      currentFilePath,
+      patterns,
+      importFile
+    ) {
       const resolvedImportPath = path.resolve(
         path.dirname(currentFilePath),
         importPath
       );
+      const match = findBestAlias(
+        resolvedImportPath,
+        patterns,
+        preferredAliases
+      );
+      return match
+        ? formatGeneratedSpecifier(match.specifier, importFile, match.alias)
+        : null;
+    }
 
-      for (const pattern of patterns) {
-        if (resolvedImportPath.startsWith(pattern.targetPath)) {
-          const relativePath = path.relative(
-            pattern.targetPath,
-            resolvedImportPath
-          );
-          return `${pattern.alias}/${relativePath}`.replace(/\\/g, "/");
+    const aliasPatterns = createAliasPatterns(pathMappings);
+    let reportedMissingAliases = false;
+
+    // Explain once per file why nothing is being enforced
+    function reportMissingAliases(node) {
+      if (reportedMissingAliases) return;
+      reportedMissingAliases = true;
+
+      const configLabel = tsconfigPath
+        ? path.relative(cwd, tsconfigPath)
+        : configFile;
+      const sources = manualPaths
+        ? "the `paths` option"
+        : `${configLabel}, bundler configs or package.json imports`;
+      const details =
+        configErrors.length > 0 ? ` ${configErrors.join(" ")}` : "";
+
+      context.report({
+        node,
+        messageId: "noAliasesResolved",
+        data: { sources, details },
+      });
+    }
+
+    // Warn on one file per configuration and config file version about
+    // aliases that could not be evaluated
+    function reportConfigWarnings(node) {
+      const key = getConfigKey(context);
+      if (!reportedConfigWarnings.has(key)) {
+        reportedConfigWarnings.set(key, new Map());
+      }
+      const reported = reportedConfigWarnings.get(key);
+
+      for (const warning of configWarnings) {
+        const mtime = getMtime(warning.configPath);
+        const previous = reported.get(warning.configPath);
+        if (
+          previous &&
+          previous.mtime === mtime &&
+          previous.filename !== filename
+        ) {
+          continue;
+        }
+        reported.set(warning.configPath, { mtime, filename });
+
+        const configFile = path.relative(cwd, warning.configPath);
+        if (warning.reason) {
+          context.report({
+            node,
+            messageId: "configUnparseable",
+            data: { configFile, reason: warning.reason },
+          });
+        } else {
+          context.report({
+            node,
+            messageId: "configAliasesSkipped",
+            data: { configFile, aliases: warning.aliases.join(", ") },
+          });
         }
       }
+    }
 
+    // String value of a module specifier: a string literal or a template
+    // literal without expressions
+    function getSpecifierValue(sourceNode) {
+      if (!sourceNode) return null;
+      if (
+        sourceNode.type === "Literal" &&
+        typeof sourceNode.value === "string"
+      ) {
+        return sourceNode.value;
+      }
+      if (
+        sourceNode.type === "TemplateLiteral" &&
+        sourceNode.expressions.length === 0
+      ) {
+        return sourceNode.quasis[0].value.cooked;
+      }
       return null;
     }
 
-    const pathMappings = getPathMappings();
-    const aliasPatterns = createAliasPatterns(pathMappings);
+    function reportWithFix(sourceNode, messageId, data, replacement) {
+      // Keep the original quote (or backtick) style
+      const quote = getSourceCode(context).getText(sourceNode).charAt(0);
+      context.report({
+        node: sourceNode,
+        messageId,
+        data,
+        fix(fixer) {
+          return fixer.replaceText(
+            sourceNode,
+            `${quote}${replacement}${quote}`
+          );
+        },
+      });
+    }
+
+    function formatTarget(filePath) {
+      return filePath
+        ? `'${path.relative(projectRoot, filePath).replace(/\\/g, "/")}'`
+        : "no file";
+    }
+
+    // Bundler queries such as "./icon.svg?react" are not part of the path
+    function resolveImportFile(importPath) {
+      return resolveModulePath(
+        path.resolve(
+          path.dirname(physicalFilename),
+          importPath.replace(/\?.*$/, "")
+        ),
+        supportedExtensions
+      );
+    }
+
+    function reportUnresolvedImport(sourceNode, importPath) {
+      context.report({
+        node: sourceNode,
+        messageId: "unresolvedImport",
+        data: { importPath },
+      });
+    }
+
+    // Only autofix when the alias points at the same file as the import
+    function reportAlias(sourceNode, messageId, data, importFile) {
+      const { filePath: aliasFile } = resolveAliasSpecifier(
+        data.alias,
+        aliasPatterns,
+        supportedExtensions
+      );
+
+      if (importFile && aliasFile === importFile) {
+        reportWithFix(sourceNode, messageId, data, data.alias);
+      } else if (importFile) {
+        context.report({
+          node: sourceNode,
+          messageId: "aliasResolvesElsewhere",
+          data: {
+            ...data,
+            target: formatTarget(importFile),
+            aliasTarget: formatTarget(aliasFile),
+          },
+        });
+      } else {
+        context.report({ node: sourceNode, messageId, data });
+      }
+    }
+
+    function toRelativeSpecifier(fromDir, modulePath) {
+      const relativePath = path
+        .relative(fromDir, modulePath)
+        .replace(/\\/g, "/");
+      if (relativePath === "") return ".";
+      return relativePath.startsWith("../")
+        ? relativePath
+        : `./${relativePath}`;
+    }
+
+    // Alias imports that point back into the file's own module
+    function checkAliasImport(sourceNode, importPath) {
+      const [target] = expandAliasSpecifier(importPath, aliasPatterns);
+      if (!target || !isInside(moduleRoot, target.modulePath)) {
+        return;
+      }
+
+      const { filePath } = resolveAliasSpecifier(
+        importPath,
+        aliasPatterns,
+        supportedExtensions
+      );
+      const relativePath = formatGeneratedSpecifier(
+        toRelativeSpecifier(
+          path.dirname(physicalFilename),
+          target.modulePath
+        ),
+        filePath
+      );
+      reportWithFix(
+        sourceNode,
+        "useRelative",
+        {
+          relativePath,
+          importPath,
+          module: path.relative(projectRoot, moduleRoot).replace(/\\/g, "/"),
+        },
+        relativePath
+      );
+    }
+
+    function checkImportSource(sourceNode, messageId, extraData = {}) {
+      const importPath = getSpecifierValue(sourceNode);
+
+      if (typeof importPath !== "string") {
+        return;
+      }
+
+      if (!importPath.startsWith("./") && !importPath.startsWith("../")) {
+        if (reportUnresolved) {
+          const { matched, filePath } = resolveAliasSpecifier(
+            importPath.replace(/\?.*$/, ""),
+            aliasPatterns,
+            supportedExtensions
+          );
+          if (matched && !filePath) {
+            reportUnresolvedImport(sourceNode, importPath);
+            return;
+          }
+        }
+        if (moduleRoot) {
+          checkAliasImport(sourceNode, importPath);
+        }
+        return;
+      }
+
+      const importFile = resolveImportFile(importPath);
+      if (reportUnresolved && !importFile) {
+        reportUnresolvedImport(sourceNode, importPath);
+        return;
+      }
+
+      if (!shouldUseAlias(importPath, physicalFilename)) {
+        return;
+      }
+
+      if (aliasPatterns.length === 0) {
+        reportMissingAliases(sourceNode);
+        return;
+      }
+
+      const suggestedAlias = findMatchingAlias(
+        importPath,
+        physicalFilename,
+        aliasPatterns,
+        importFile
+      );
+
+      if (suggestedAlias) {
+        reportAlias(
+          sourceNode,
+          messageId,
+          { alias: suggestedAlias, importPath, ...extraData },
+          importFile
+        );
+      }
+    }
 
     return {
+      Program(node) {
+        reportConfigProblems(context, node, configProblems);
+        reportConfigWarnings(node);
+      },
+
       ImportDeclaration(node) {
-        const importPath = node.source.value;
-        const currentFilePath = context.getFilename();
-
-        if (shouldUseAlias(importPath, currentFilePath)) {
-          const suggestedAlias = findMatchingAlias(
-            importPath,
-            currentFilePath,
-            aliasPatterns
-          );
+        checkImportSource(node.source, "useAlias");
+      },
 
-          if (suggestedAlias) {
-            context.report({
-              node: node.source,
-              message: `Use path alias '${suggestedAlias}' instead of relative import '${importPath}'`,
-              fix(fixer) {
-                return fixer.replaceText(node.source, `'${suggestedAlias}'`);
-              },
-            });
-          }
+      // export * from '../x'
+      ExportAllDeclaration(node) {
+        checkImportSource(node.source, "useAliasExport");
+      },
+
+      // export { a } from '../x'
+      ExportNamedDeclaration(node) {
+        if (node.source) {
+          checkImportSource(node.source, "useAliasExport");
         }
       },
 
-      // Support require() statements
+      // import('../x')
+      ImportExpression(node) {
+        checkImportSource(node.source, "useAlias");
+      },
+
+      // TypeScript type queries: type Foo = import('../x').Foo
+      TSImportType(node) {
+        const argument = node.argument || node.parameter;
+        checkImportSource(
+          argument && argument.type === "TSLiteralType"
+            ? argument.literal
+            : argument,
+          "useAlias"
+        );
+      },
+
+      // TypeScript: import x = require('../x')
+      TSExternalModuleReference(node) {
+        checkImportSource(node.expression, "useAliasRequire");
+      },
+
+      // require(), require.resolve(), jest.mock(), vi.mock(), ...
       CallExpression(node) {
-        if (
-          node.callee.name === "require" &&
-          node.arguments.length === 1 &&
-          node.arguments[0].type === "Literal"
-        ) {
-          const importPath = node.arguments[0].value;
-          const currentFilePath = context.getFilename();
-
-          if (shouldUseAlias(importPath, currentFilePath)) {
-            const suggestedAlias = findMatchingAlias(
-              importPath,
-              currentFilePath,
-              aliasPatterns
-            );
-
-            if (suggestedAlias) {
-              context.report({
-                node: node.arguments[0],
-                message: `Use path alias '${suggestedAlias}' instead of relative require '${importPath}'`,
-                fix(fixer) {
-                  return fixer.replaceText(
-                    node.arguments[0],
-                    `'${suggestedAlias}'`
-                  );
-                },
-              });
-            }
-          }
+        const calleeName = getCalleeName(node.callee);
+        if (!moduleCallNames.has(calleeName) || node.arguments.length === 0) {
+          return;
+        }
+
+        if (calleeName === "require") {
+          checkImportSource(node.arguments[0], "useAliasRequire");
+        } else {
+          checkImportSource(node.arguments[0], "useAliasCall", {
+            callee: calleeName,
+          });
         }
       },
     };
@@ -1,3 +1,307 @@
+const path = require("path");
+const {
+  getFilename,
+  getCwd,
+  getSourceCode,
+  getDeclaredVariables,
+} = require("../utils/context");
+const { matchesGlob } = require("../utils/glob");
+const { JSX_FRAMEWORKS } = require("../utils/frameworks");
+const {
+  SETTINGS_KEY,
+  INVALID_CONFIG_MESSAGE,
+  getOptionsWithSettings,
+  reportConfigProblems,
+} = require("../utils/settings");
+
+// Shared settings this rule reads, see utils/settings
+const SHARED_SETTINGS = ["rootDir", "framework"];
+
+// `React.FC<Props>` and friends, whose props type can move to the parameter
+const COMPONENT_TYPE_NAMES = new Set([
+  "FC",
+  "FunctionComponent",
+  "VFC",
+  "VoidFunctionComponent",
+  "ComponentType",
+]);
+
+// Return types that mark a function as a component: `JSX.Element`,
+// `React.ReactElement`, `ReactNode`
+const COMPONENT_RETURN_TYPE_NAMES = new Set([
+  "Element",
+  "ReactElement",
+  "ReactNode",
+]);
+
+// Nodes with their own `this`/`arguments`
+const FUNCTION_SCOPE_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ClassBody",
+]);
+
+// Nodes whose returns and hook calls belong to another function
+const NESTED_FUNCTION_TYPES = new Set([
+  ...FUNCTION_SCOPE_TYPES,
+  "ArrowFunctionExpression",
+]);
+
+// Whether `node` or a descendant matches `test`, without descending into
+// node types listed in `boundaries`
+function containsNode(node, visitorKeys, boundaries, test) {
+  if (!node || typeof node.type !== "string") {
+    return false;
+  }
+  if (test(node)) {
+    return true;
+  }
+  if (boundaries.has(node.type)) {
+    return false;
+  }
+
+  const keys =
+    visitorKeys[node.type] ||
+    Object.keys(node).filter((key) => key !== "parent");
+  return keys.some((key) => {
+    const child = node[key];
+    return Array.isArray(child)
+      ? child.some((item) => containsNode(item, visitorKeys, boundaries, test))
+      : containsNode(child, visitorKeys, boundaries, test);
+  });
+}
+
+// Whether an arrow function uses the `this`, `arguments`, `super` or
+// `new.target` of the code around it
+function usesLexicalBindings(node, visitorKeys) {
+  return containsNode(
+    node,
+    visitorKeys,
+    FUNCTION_SCOPE_TYPES,
+    (child) =>
+      child.type === "ThisExpression" ||
+      child.type === "Super" ||
+      child.type === "MetaProperty" ||
+      (child.type === "Identifier" &&
+        child.name === "arguments" &&
+        !(
+          (child.parent.type === "MemberExpression" &&
+            child.parent.property === child &&
+            !child.parent.computed) ||
+          (child.parent.type === "Property" &&
+            child.parent.key === child &&
+            !child.parent.computed)
+        ))
+  );
+}
+
+// Whether an expression evaluates to JSX on some path: `<div />`,
+// `<>...</>`, `cond ? <A /> : null`, `cond && <A />`
+function isJsxExpression(node) {
+  if (!node) {
+    return false;
+  }
+  switch (node.type) {
+    case "JSXElement":
+    case "JSXFragment":
+      return true;
+    case "ConditionalExpression":
+      return (
+        isJsxExpression(node.consequent) || isJsxExpression(node.alternate)
+      );
+    case "LogicalExpression":
+      return isJsxExpression(node.left) || isJsxExpression(node.right);
+    case "SequenceExpression":
+      return isJsxExpression(node.expressions[node.expressions.length - 1]);
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "TSNonNullExpression":
+      return isJsxExpression(node.expression);
+    default:
+      return false;
+  }
+}
+
+// Whether any return path of the function, nested `if`s and loops
+// included, returns JSX
+function returnsJsx(fn, visitorKeys) {
+  if (fn.body.type !== "BlockStatement") {
+    return isJsxExpression(fn.body);
+  }
+  return containsNode(
+    fn.body,
+    visitorKeys,
+    NESTED_FUNCTION_TYPES,
+    (node) => node.type === "ReturnStatement" && isJsxExpression(node.argument)
+  );
+}
+
+// `useState()`, `React.useContext()`, `use(promise)`
+function callsHooks(fn, visitorKeys) {
+  return containsNode(fn.body, visitorKeys, NESTED_FUNCTION_TYPES, (node) => {
+    if (node.type !== "CallExpression") {
+      return false;
+    }
+    const callee =
+      node.callee.type === "MemberExpression" && !node.callee.computed
+        ? node.callee.property
+        : node.callee;
+    return (
+      callee.type === "Identifier" && /^use(?:[A-Z0-9]|$)/.test(callee.name)
+    );
+  });
+}
+
+// Curried and higher-order functions: `(a) => (b) => a + b`, or a body
+// that returns a function
+function returnsFunction(fn, visitorKeys) {
+  if (fn.body.type !== "BlockStatement") {
+    return isFunctionNode(fn.body);
+  }
+  return containsNode(
+    fn.body,
+    visitorKeys,
+    NESTED_FUNCTION_TYPES,
+    (node) =>
+      node.type === "ReturnStatement" &&
+      Boolean(node.argument) &&
+      isFunctionNode(node.argument)
+  );
+}
+
+// Last name of `FC`, `React.FC` or `JSX.Element` in a type reference
+function getTypeReferenceName(type) {
+  if (!type || type.type !== "TSTypeReference") {
+    return null;
+  }
+  return type.typeName.type === "TSQualifiedName"
+    ? type.typeName.right.name
+    : type.typeName.name;
+}
+
+// `JSX.Element`, `ReactNode` or a union with one, such as
+// `JSX.Element | null`
+function isComponentReturnType(type) {
+  if (type && type.type === "TSUnionType") {
+    return type.types.some(isComponentReturnType);
+  }
+  return COMPONENT_RETURN_TYPE_NAMES.has(getTypeReferenceName(type));
+}
+
+// `const Foo: React.FC = ...` or `(): JSX.Element => ...`. The declarator
+// is null for default exports.
+function hasComponentAnnotation(declarator, fn) {
+  const variableType =
+    declarator &&
+    declarator.id.typeAnnotation &&
+    declarator.id.typeAnnotation.typeAnnotation;
+  return (
+    COMPONENT_TYPE_NAMES.has(getTypeReferenceName(variableType)) ||
+    Boolean(
+      fn && fn.returnType && isComponentReturnType(fn.returnType.typeAnnotation)
+    )
+  );
+}
+
+// Wrappers that may hold an arrow component, unless `allowedWrappers` is
+// set. Loaders passed to `lazy()` are not components, so they need no name.
+const DEFAULT_WRAPPERS = [
+  "memo",
+  "React.memo",
+  "forwardRef",
+  "React.forwardRef",
+  "observer",
+  "styled.*",
+  "withRouter",
+  { name: "lazy", requireNamedFunction: false },
+  { name: "React.lazy", requireNamedFunction: false },
+];
+
+// Framework files whose default export is the page or route component:
+// Next.js App Router special files, Next.js `pages/` and Remix routes
+const DEFAULT_ENTRY_FILES = [
+  "**/app/**/{page,layout,template,default,loading,error,not-found}.{js,jsx,ts,tsx}",
+  "**/pages/**/*.{js,jsx,ts,tsx}",
+  "**/app/routes/**/*.{js,jsx,ts,tsx}",
+  "**/app/root.{js,jsx,ts,tsx}",
+];
+
+// Name suggested for an anonymous default export: `page.tsx` -> "Page",
+// `user-profile.tsx` -> "UserProfile", `users.$id.tsx` -> "UsersId"
+function getNameFromFilename(filename) {
+  const baseName = path.basename(filename).replace(/\.[^.]+$/, "");
+  const name = baseName
+    .split(/[^a-zA-Z0-9]+/)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+  return /^[A-Z]/.test(name) ? name : "Component";
+}
+
+function isFunctionNode(node) {
+  return (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression"
+  );
+}
+
+// "memo", "React.memo" or "styled.div" for a callee, or null. Curried
+// wrappers such as `connect(mapState)(...)` are named after the first call.
+function getCalleeName(callee) {
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+  if (callee.type === "CallExpression") {
+    return getCalleeName(callee.callee);
+  }
+  if (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    callee.property.type === "Identifier"
+  ) {
+    const objectName = getCalleeName(callee.object);
+    return objectName && `${objectName}.${callee.property.name}`;
+  }
+  return null;
+}
+
+// The function a declarator defines and the calls wrapping it, outermost
+// first: `observer(forwardRef(() => ...))` gives both calls and the arrow.
+// `fn` is null when the initializer is no (wrapped) function.
+function unwrapCalls(init) {
+  const wrappers = [];
+  let current = init;
+  while (current.type === "CallExpression" && current.arguments.length > 0) {
+    wrappers.push(current);
+    current = current.arguments[0];
+  }
+  return { wrappers, fn: isFunctionNode(current) ? current : null };
+}
+
+// "styled.*" -> /^styled\.[^.]+$/
+function wrapperPatternToRegExp(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^.]+");
+  return new RegExp(`^${source}$`);
+}
+
+// Props type of a `React.FC<Props>` annotation: `{ propsType }` with the
+// type node or null, or null when the annotation can't be dropped safely
+function getComponentPropsType(declarator) {
+  if (!declarator.id.typeAnnotation) {
+    return { propsType: null };
+  }
+
+  const type = declarator.id.typeAnnotation.typeAnnotation;
+  if (!COMPONENT_TYPE_NAMES.has(getTypeReferenceName(type))) {
+    return null;
+  }
+
+  const typeArguments = type.typeArguments || type.typeParameters;
+  return { propsType: typeArguments ? typeArguments.params[0] : null };
+}
+
 module.exports = {
   meta: {
     type: "suggestion",
@@ -8,6 +312,7 @@ module.exports = {
       recommended: false,
       url: "https://github.com/tnnquang/eslint-plugin#no-arrow-components",
     },
+    fixable: "code",
     schema: [
       {
         type: "object",
@@ -21,60 +326,488 @@ module.exports = {
             type: "boolean", 
             default: true,
             description: "Apply rules to TypeScript files"
-          }
+          },
+          allowedWrappers: {
+            type: "array",
+            items: {
+              oneOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    requireNamedFunction: { type: "boolean" },
+                  },
+                  required: ["name"],
+                  additionalProperties: false,
+                },
+              ],
+            },
+            description:
+              "Calls that may wrap an arrow component, such as memo or styled.* (replaces the defaults)",
+          },
+          requireNamedFunction: {
+            type: "boolean",
+            default: false,
+            description:
+              "Require components passed to wrappers to be named function expressions, so they show up in React DevTools",
+          },
+          entryFiles: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              "Globs (relative to the working directory) for framework entry files whose default export must be a named function declaration (replaces the defaults)",
+          },
+          ignorePatterns: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              "Regular expressions for names to skip, such as ^use for hooks or ^[A-Z_]+$ for constants",
+          },
+          allowTypedArrows: {
+            type: "boolean",
+            default: false,
+            description:
+              "Allow arrows assigned to a variable with a function type annotation, which a declaration can't carry",
+          },
+          allowCurriedArrows: {
+            type: "boolean",
+            default: false,
+            description:
+              "Allow non-component arrows that return a function, such as (a) => (b) => a + b",
+          },
+          allowSingleExpressionArrows: {
+            type: "boolean",
+            default: false,
+            description:
+              "Allow non-component arrows whose expression body fits on one line",
+          },
+          allowExportedArrows: {
+            type: "boolean",
+            default: false,
+            description: "Allow exported non-component arrows",
+          },
+          allowPrivateArrows: {
+            type: "boolean",
+            default: false,
+            description: "Allow non-component arrows that are not exported",
+          },
+          componentDetection: {
+            type: "string",
+            enum: ["name", "jsx", "strict"],
+            default: "jsx",
+            description:
+              "What makes a PascalCase function a component: the name alone, returning JSX or a component annotation or calling hooks, or only returning JSX or a component annotation",
+          },
         },
         additionalProperties: false,
       },
     ],
     messages: {
       arrowComponent:
-        'React component "{{name}}" must be a function declaration unless wrapped in a HOC like memo() or forwardRef().',
+        'React component "{{name}}" must be a function declaration unless wrapped in a HOC like memo() or forwardRef(){{note}}.',
       arrowFunction:
-        'Top-level function "{{name}}" must be a function declaration.',
+        'Top-level function "{{name}}" must be a function declaration{{note}}.',
       tsArrowComponent:
-        'TypeScript React component "{{name}}" must be a function declaration with proper typing.',
+        'TypeScript React component "{{name}}" must be a function declaration with proper typing{{note}}.',
+      unknownWrapper:
+        'React component "{{name}}" is wrapped in {{wrapper}}(), which is not an allowed wrapper. Use a function declaration or add {{wrapper}} to allowedWrappers.',
+      anonymousWrappedComponent:
+        'React component "{{name}}" passed to {{wrapper}}() must be a named function expression, e.g. {{wrapper}}(function {{name}}() {...}), so it shows up in React DevTools.',
+      arrowDefaultExport:
+        "Default-exported React component must be a named function declaration, e.g. export default function {{name}}() {...}.",
+      unnamedEntryExport:
+        "The default export of this entry file must be a named function declaration, e.g. export default function {{name}}() {...}, so it has a name in stack traces and React DevTools.",
+      invalidConfig: INVALID_CONFIG_MESSAGE,
       tsArrowFunction:
-        'TypeScript function "{{name}}" must be a function declaration with proper typing.',
+        'TypeScript function "{{name}}" must be a function declaration with proper typing{{note}}.',
     },
   },
   create(context) {
-    const options = context.options[0] || {};
+    const { options, problems: configProblems } = getOptionsWithSettings(
+      context,
+      SHARED_SETTINGS
+    );
+    // `framework` only picks the presets' defaults; a rule enabled anyway
+    // still runs, with the mismatch pointed out
+    if (options.framework && !JSX_FRAMEWORKS.has(options.framework)) {
+      configProblems.push(
+        `no-arrow-components is enabled although settings["${SETTINGS_KEY}"].framework is "${options.framework}", whose components are not functions in JSX; turn the rule off for these files if that is not intended`
+      );
+    }
+
     const allowArrowFunctions = options.allowArrowFunctions || false;
     const checkTypeScript = options.checkTypeScript !== false;
+    const componentDetection = options.componentDetection || "jsx";
+    // A pattern that doesn't compile is reported and skipped rather than
+    // aborting the whole lint run
+    const ignorePatterns = [];
+    for (const pattern of options.ignorePatterns || []) {
+      try {
+        ignorePatterns.push(new RegExp(pattern, "u"));
+      } catch (error) {
+        configProblems.push(
+          `no-arrow-components ignores ignorePatterns entry "${pattern}" (${error.message})`
+        );
+      }
+    }
+    const allowTypedArrows = options.allowTypedArrows || false;
+    const requireNamedFunction = options.requireNamedFunction || false;
+    const allowedWrappers = (options.allowedWrappers || DEFAULT_WRAPPERS).map(
+      (wrapper) => {
+        const { name, requireNamedFunction: requireNamed } =
+          typeof wrapper === "string" ? { name: wrapper } : wrapper;
+        return {
+          regExp: wrapperPatternToRegExp(name),
+          requireNamedFunction:
+            requireNamed === undefined ? requireNamedFunction : requireNamed,
+        };
+      }
+    );
     
     // Check if current file is TypeScript
-    const filename = context.getFilename();
+    const filename = getFilename(context);
     const isTypeScript = /\.(ts|tsx)$/.test(filename);
+    const rootDir = options.rootDir
+      ? path.resolve(getCwd(context), options.rootDir)
+      : getCwd(context);
+    const relativeFilename = path.relative(rootDir, filename);
+    const isEntryFile = (options.entryFiles || DEFAULT_ENTRY_FILES).some(
+      (pattern) => matchesGlob(relativeFilename, pattern)
+    );
     
     function isPascalCase(name) {
       return /^[A-Z][a-zA-Z0-9]*$/.test(name);
     }
 
+    // PascalCase functions are components when they return JSX on some
+    // path or carry a component annotation; "jsx" also accepts hook calls
+    // and "name" accepts every PascalCase function
     function isReactComponent(node, name) {
-      // Check if it's PascalCase (component naming convention)
       if (!isPascalCase(name)) return false;
-      
-      // For TypeScript, check for JSX return type or React component patterns
-      if (isTypeScript && checkTypeScript) {
-        // Check if function returns JSX
-        if (node.init && node.init.type === "ArrowFunctionExpression") {
-          const body = node.init.body;
-          if (body && body.type === "JSXElement") return true;
-          if (body && body.type === "BlockStatement") {
-            // Check for return statements with JSX
-            return body.body.some(stmt => 
-              stmt.type === "ReturnStatement" && 
-              stmt.argument && 
-              stmt.argument.type === "JSXElement"
-            );
+      if (componentDetection === "name") return true;
+
+      const { fn } = unwrapCalls(node.init);
+      return (
+        hasComponentAnnotation(node, fn) ||
+        Boolean(fn && isComponentFunction(fn))
+      );
+    }
+
+    // Anonymous functions have no name to go by, so "name" detects them
+    // like "jsx"
+    function isComponentFunction(fn) {
+      const visitorKeys = getSourceCode(context).visitorKeys || {};
+      return (
+        hasComponentAnnotation(null, fn) ||
+        returnsJsx(fn, visitorKeys) ||
+        (componentDetection !== "strict" && callsHooks(fn, visitorKeys))
+      );
+    }
+
+    // `function Foo(...) { ... }` text for `const Foo = (...) => ...`, or
+    // null when converting could change behavior or drop code: lexical
+    // `this`/`arguments`, a reference that runs before the declaration
+    // (function declarations are hoisted), reassignment, or comments that
+    // would have nowhere to go
+    function getFunctionDeclarationText(node, decl) {
+      const sourceCode = getSourceCode(context);
+      const { init } = decl;
+      const name = decl.id.name;
+      const isArrow = init.type === "ArrowFunctionExpression";
+
+      if (
+        node.declarations.length !== 1 ||
+        node.declare ||
+        (init.id && init.id.name !== name) ||
+        (isArrow && usesLexicalBindings(init, sourceCode.visitorKeys || {}))
+      ) {
+        return null;
+      }
+
+      const [variable] = getDeclaredVariables(context, decl);
+      const changesBehavior = variable.references.some(
+        (ref) =>
+          !ref.init &&
+          (ref.isWrite() ||
+            (!ref.isTypeReference &&
+              ref.identifier.range[0] < node.range[0] &&
+              ref.from.variableScope === variable.scope.variableScope))
+      );
+      if (changesBehavior) {
+        return null;
+      }
+
+      // `const Foo: React.FC<Props> = (props) => ...` types `props`
+      const componentType = getComponentPropsType(decl);
+      if (!componentType) {
+        return null;
+      }
+      const { propsType } = componentType;
+      const [firstParam] = init.params;
+      const annotatesParam =
+        propsType && firstParam && !firstParam.typeAnnotation;
+      if (
+        annotatesParam &&
+        !["Identifier", "ObjectPattern", "ArrayPattern"].includes(
+          firstParam.type
+        )
+      ) {
+        return null;
+      }
+
+      const bodyStart = isArrow
+        ? sourceCode.getTokenBefore(init.body, (token) => token.value === "=>")
+        : init.body;
+      const closeParen = sourceCode.getTokenBefore(
+        init.returnType || bodyStart
+      );
+      // `x => x` has no parentheses around its parameter
+      const isParenthesized = closeParen.value === ")";
+      const paramsRange = isParenthesized
+        ? [
+            sourceCode.getTokenBefore(firstParam || closeParen).range[0],
+            closeParen.range[1],
+          ]
+        : firstParam.range;
+      let paramsText = sourceCode.text.slice(...paramsRange);
+      if (annotatesParam) {
+        const offset = firstParam.range[1] - paramsRange[0];
+        paramsText = `${paramsText.slice(0, offset)}: ${sourceCode.getText(
+          propsType
+        )}${paramsText.slice(offset)}`;
+      }
+      if (!isParenthesized) {
+        paramsText = `(${paramsText})`;
+      }
+
+      // `<T,>` only disambiguates arrows from JSX in .tsx files
+      let typeParametersText = "";
+      if (init.typeParameters) {
+        typeParametersText = sourceCode.getText(init.typeParameters);
+        const closing = sourceCode.getLastToken(init.typeParameters);
+        const comma = sourceCode.getTokenBefore(closing);
+        if (comma.value === ",") {
+          const start = init.typeParameters.range[0];
+          typeParametersText =
+            typeParametersText.slice(0, comma.range[0] - start) +
+            typeParametersText.slice(comma.range[1] - start);
+        }
+      }
+
+      const statement =
+        node.parent.type === "ExportNamedDeclaration" ? node.parent : node;
+      const indent =
+        sourceCode.lines[statement.loc.start.line - 1].match(/^\s*/)[0];
+      const bodyRange =
+        init.body.type === "BlockStatement"
+          ? init.body.range
+          : [sourceCode.getTokenAfter(bodyStart).range[0], init.range[1]];
+      let bodyText = sourceCode.getText(init.body);
+      if (init.body.type !== "BlockStatement") {
+        // Continuation lines move one level in, unless that would change
+        // a multi-line template literal
+        const expressionText = sourceCode.text.slice(...bodyRange);
+        const hasMultilineTemplate = sourceCode
+          .getTokens(init.body)
+          .some(
+            (token) =>
+              token.type === "Template" &&
+              token.loc.start.line !== token.loc.end.line
+          );
+        bodyText = `{\n${indent}  return ${
+          hasMultilineTemplate
+            ? expressionText
+            : expressionText.replace(/\n/g, "\n  ")
+        };\n${indent}}`;
+      }
+
+      const keptRanges = [paramsRange, bodyRange];
+      for (const kept of [init.typeParameters, init.returnType, propsType]) {
+        if (kept) keptRanges.push(kept.range);
+      }
+      const dropsComments = sourceCode
+        .getCommentsInside(node)
+        .some(
+          (comment) =>
+            !keptRanges.some(
+              ([start, end]) =>
+                comment.range[0] >= start && comment.range[1] <= end
+            )
+        );
+      if (dropsComments) {
+        return null;
+      }
+
+      const returnTypeText = init.returnType
+        ? sourceCode.getText(init.returnType)
+        : "";
+      return `${init.async ? "async " : ""}function${
+        init.generator ? "*" : ""
+      } ${name}${typeParametersText}${paramsText}${returnTypeText} ${bodyText}`;
+    }
+
+    // Options that exempt a non-component function, with the reason each
+    // one applies
+    const functionExemptions = [
+      {
+        option: "allowCurriedArrows",
+        applies: (fn) =>
+          returnsFunction(fn, getSourceCode(context).visitorKeys || {}),
+      },
+      {
+        option: "allowSingleExpressionArrows",
+        applies: (fn) =>
+          fn.type === "ArrowFunctionExpression" &&
+          fn.body.type !== "BlockStatement" &&
+          fn.loc.start.line === fn.loc.end.line,
+        nearMiss: (fn) =>
+          fn.type === "ArrowFunctionExpression" &&
+          fn.body.type !== "BlockStatement"
+            ? "only covers arrows on one line"
+            : null,
+      },
+      {
+        option: "allowExportedArrows",
+        applies: (fn, isExported) => isExported,
+        nearMiss: () => "only covers exported functions",
+      },
+      {
+        option: "allowPrivateArrows",
+        applies: (fn, isExported) => !isExported,
+        nearMiss: () => "only covers functions that are not exported",
+      },
+    ];
+
+    if (allowArrowFunctions) {
+      for (const { option } of functionExemptions) {
+        if (options[option]) {
+          configProblems.push(
+            `no-arrow-components ignores "${option}" because "allowArrowFunctions" allows every non-component arrow`
+          );
+        }
+      }
+    }
+
+    // Whether an exception option lets the declarator through. Otherwise
+    // returns the notes for options that nearly applied, so the report
+    // explains why they didn't.
+    function getExemption(decl, isComponent, isExported) {
+      const { id, init } = decl;
+      const notes = [];
+
+      if (ignorePatterns.some((regExp) => regExp.test(id.name))) {
+        return { exempt: true };
+      }
+      // Patterns with character classes are case-sensitive on purpose
+      for (const regExp of ignorePatterns) {
+        if (
+          !regExp.source.includes("[") &&
+          new RegExp(regExp.source, "iu").test(id.name)
+        ) {
+          notes.push(
+            `ignorePatterns /${regExp.source}/ only matches "${id.name}" when ignoring case`
+          );
+        }
+      }
+
+      if (id.typeAnnotation) {
+        const typeName = getTypeReferenceName(id.typeAnnotation.typeAnnotation);
+        if (!COMPONENT_TYPE_NAMES.has(typeName)) {
+          if (allowTypedArrows) {
+            return { exempt: true };
           }
+          notes.push(
+            "allowTypedArrows would allow its type annotation, which a declaration can't carry"
+          );
+        } else if (allowTypedArrows) {
+          notes.push(
+            `allowTypedArrows does not cover ${typeName} annotations, whose props type can move to the parameter`
+          );
         }
       }
-      
-      return isPascalCase(name);
+
+      for (const exemption of functionExemptions) {
+        if (!options[exemption.option]) continue;
+        if (exemption.applies(init, isExported)) {
+          if (!isComponent) {
+            return { exempt: true };
+          }
+          notes.push(`${exemption.option} does not apply to components`);
+        } else if (!isComponent && exemption.nearMiss) {
+          const reason = exemption.nearMiss(init);
+          if (reason) notes.push(`${exemption.option} ${reason}`);
+        }
+      }
+
+      return { exempt: false, notes };
+    }
+
+    function findWrapper(calleeName) {
+      return (
+        (calleeName &&
+          allowedWrappers.find((wrapper) => wrapper.regExp.test(calleeName))) ||
+        null
+      );
+    }
+
+    // `const Foo = memo(() => ...)`: every wrapping call must be allowed,
+    // and some wrappers (or entry files) want a named function inside
+    function checkWrappedComponent(node, init, name, mustBeNamed) {
+      const { wrappers, fn } = unwrapCalls(init);
+      if (!fn) return;
+
+      const describe = (call) =>
+        getCalleeName(call.callee) ||
+        getSourceCode(context).getText(call.callee);
+      const unknownCall = wrappers.find(
+        (call) => !findWrapper(getCalleeName(call.callee))
+      );
+      if (unknownCall) {
+        context.report({
+          node,
+          messageId: "unknownWrapper",
+          data: { name, wrapper: describe(unknownCall) },
+        });
+        return;
+      }
+
+      const isNamed = fn.type === "FunctionExpression" && fn.id;
+      const innerCall = wrappers[wrappers.length - 1];
+      if (
+        !isNamed &&
+        (mustBeNamed ||
+          wrappers.some(
+            (call) =>
+              findWrapper(getCalleeName(call.callee)).requireNamedFunction
+          ))
+      ) {
+        context.report({
+          node: fn,
+          messageId: "anonymousWrappedComponent",
+          data: { name, wrapper: describe(innerCall) },
+        });
+      }
+    }
+
+    function report(node, decl, messageId, notes) {
+      const text = getFunctionDeclarationText(node, decl);
+      context.report({
+        node: decl,
+        messageId,
+        data: {
+          name: decl.id.name,
+          note: notes.length > 0 ? ` (${notes.join("; ")})` : "",
+        },
+        ...(text ? { fix: (fixer) => fixer.replaceText(node, text) } : {}),
+      });
     }
 
     return {
+      Program(node) {
+        reportConfigProblems(context, node, configProblems);
+      },
+
       VariableDeclaration(node) {
         // Only consider top-level declarations
         if (
@@ -97,45 +830,86 @@ module.exports = {
           const init = decl.init;
 
           const isComponent = isReactComponent(decl, name);
+          const isExported = node.parent.type === "ExportNamedDeclaration";
 
-          // Allow HOC like: const Comp = memo(() => {})
-          if (
-            isComponent &&
-            init.type === "CallExpression" &&
-            init.arguments.length > 0 &&
-            (init.arguments[0].type === "ArrowFunctionExpression" ||
-              init.arguments[0].type === "FunctionExpression")
-          ) {
-            return;
+          // Allow wrappers like: const Comp = memo(() => {})
+          if (init.type === "CallExpression") {
+            if (isComponent) {
+              checkWrappedComponent(decl, init, name, false);
+            }
+            continue;
+          }
+
+          if (!isFunctionNode(init) || (!isComponent && allowArrowFunctions)) {
+            continue;
+          }
+
+          const { exempt, notes } = getExemption(decl, isComponent, isExported);
+          if (exempt) {
+            continue;
           }
 
           // Disallow top-level component arrow functions
-          if (
-            isComponent &&
-            (init.type === "ArrowFunctionExpression" ||
-              init.type === "FunctionExpression")
-          ) {
-            context.report({
-              node: decl,
-              messageId: isTypeScript && checkTypeScript ? "tsArrowComponent" : "arrowComponent",
-              data: { name },
-            });
-            return;
+          if (isComponent) {
+            report(
+              node,
+              decl,
+              isTypeScript && checkTypeScript
+                ? "tsArrowComponent"
+                : "arrowComponent",
+              notes
+            );
+            continue;
           }
 
-          // Disallow top-level utility arrow functions (unless allowed)
-          if (
-            !isComponent &&
-            !allowArrowFunctions &&
-            (init.type === "ArrowFunctionExpression" ||
-              init.type === "FunctionExpression")
-          ) {
+          // Disallow top-level utility arrow functions
+          report(
+            node,
+            decl,
+            isTypeScript && checkTypeScript
+              ? "tsArrowFunction"
+              : "arrowFunction",
+            notes
+          );
+        }
+      },
+
+      // `export default () => ...` and `export default memo(() => ...)`.
+      // Entry files must default-export a named function whether or not it
+      // looks like a component.
+      ExportDefaultDeclaration(node) {
+        const { declaration } = node;
+        const name = getNameFromFilename(filename);
+
+        if (declaration.type === "CallExpression") {
+          const { fn } = unwrapCalls(declaration);
+          if (fn && (isEntryFile || isComponentFunction(fn))) {
+            checkWrappedComponent(declaration, declaration, name, isEntryFile);
+          }
+          return;
+        }
+
+        if (isEntryFile) {
+          const isUnnamed =
+            declaration.type === "FunctionDeclaration"
+              ? !declaration.id
+              : isFunctionNode(declaration);
+          if (isUnnamed) {
             context.report({
-              node: decl,
-              messageId: isTypeScript && checkTypeScript ? "tsArrowFunction" : "arrowFunction",
+              node: declaration,
+              messageId: "unnamedEntryExport",
               data: { name },
             });
           }
+          return;
+        }
+
+        if (isFunctionNode(declaration) && isComponentFunction(declaration)) {
+          context.report({
+            node: declaration,
+            messageId: "arrowDefaultExport",
+            data: { name },
+          });
         }
       },
     };
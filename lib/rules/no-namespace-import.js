@@ -1,19 +1,347 @@
 /**
- * @fileoverview Disallows using default imports as namespaces
- * and encourages direct named imports, with autofix.
+ * @fileoverview Disallows using default and namespace (`import * as X`)
+ * imports and top-level `require()` bindings as namespaces and encourages
+ * direct named imports, with autofix.
  */
 
+const path = require("path");
+const {
+  getFilename,
+  getPhysicalFilename,
+  getSourceCode,
+  getScope,
+  getDeclaredVariables,
+} = require("../utils/context");
+const { getPackageExports, moduleExists } = require("../utils/package-exports");
+const { loadTsconfig, findNearestConfig } = require("../utils/tsconfig");
+const { createCache } = require("../utils/cache");
+const {
+  INVALID_CONFIG_MESSAGE,
+  getOptionsWithSettings,
+  reportConfigProblems,
+} = require("../utils/settings");
+
+const compilerOptionsCache = createCache("compiler options");
+
+// Shared settings this rule reads, see utils/settings
+const SHARED_SETTINGS = ["allowedLibraries", "targetLibraries"];
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+// Names that are valid properties but cannot be imported as bindings
+const RESERVED_WORDS = new Set([
+  "arguments", "await", "break", "case", "catch", "class", "const",
+  "continue", "debugger", "default", "delete", "do", "else", "enum", "eval",
+  "export", "extends", "false", "finally", "for", "function", "if",
+  "implements", "import", "in", "instanceof", "interface", "let", "new",
+  "null", "package", "private", "protected", "public", "return", "static",
+  "super", "switch", "this", "throw", "true", "try", "typeof", "var", "void",
+  "while", "with", "yield",
+]);
+
+// Type keywords that a binding used in a type position cannot be named:
+// `import { type infer }` is a syntax error and `string` would mean the
+// primitive type, so such members are always imported under an alias
+const TYPE_KEYWORDS = new Set([
+  "any", "asserts", "bigint", "boolean", "infer", "is", "keyof", "never",
+  "number", "object", "readonly", "string", "symbol", "undefined", "unique",
+  "unknown",
+]);
+
+// `X.a = 1`, `X.a++` and `delete X.a` cannot become a named import
+function isWriteTarget(memberNode) {
+  const parent = memberNode.parent;
+  return (
+    (parent.type === "AssignmentExpression" && parent.left === memberNode) ||
+    parent.type === "UpdateExpression" ||
+    (parent.type === "UnaryExpression" && parent.operator === "delete") ||
+    ((parent.type === "ForInStatement" || parent.type === "ForOfStatement") &&
+      parent.left === memberNode)
+  );
+}
+
+// Property name of `X.a`, `X?.a`, `X["a"]` or `<X.a>` when it can be
+// imported by name
+function getStaticPropertyName(memberNode) {
+  const { property } = memberNode;
+  let name = null;
+
+  if (!memberNode.computed) {
+    name = property.name;
+  } else if (
+    property.type === "Literal" &&
+    typeof property.value === "string"
+  ) {
+    name = property.value;
+  } else if (
+    property.type === "TemplateLiteral" &&
+    property.expressions.length === 0
+  ) {
+    name = property.quasis[0].value.cooked;
+  }
+
+  return isImportableName(name) ? name : null;
+}
+
+function isImportableName(name) {
+  return (
+    Boolean(name) && IDENTIFIER_REGEX.test(name) && !RESERVED_WORDS.has(name)
+  );
+}
+
+// `{ node, propertyName, isType }` when a reference is a read of one member,
+// `isType` marking type positions such as `React.FC` or `typeof React.version`
+function getMemberUsage(identifier) {
+  const parent = identifier.parent;
+  if (parent.type === "TSQualifiedName" && parent.left === identifier) {
+    const propertyName = parent.right.name;
+    return isImportableName(propertyName)
+      ? { node: parent, propertyName, isType: true }
+      : null;
+  }
+  if (
+    (parent.type !== "MemberExpression" &&
+      parent.type !== "JSXMemberExpression") ||
+    parent.object !== identifier ||
+    isWriteTarget(parent)
+  ) {
+    return null;
+  }
+
+  const propertyName = getStaticPropertyName(parent);
+  return propertyName ? { node: parent, propertyName, isType: false } : null;
+}
+
+// Why a reference to a namespace import keeps it from being rewritten to
+// named imports
+function describeValueUsage(identifier) {
+  const parent = identifier.parent;
+
+  switch (parent.type) {
+    case "MemberExpression":
+      return isWriteTarget(parent)
+        ? "modified"
+        : "accessed with a computed property";
+    case "CallExpression":
+    case "NewExpression":
+      return parent.callee === identifier ? "called" : "passed to a function";
+    case "SpreadElement":
+    case "JSXSpreadAttribute":
+      return "spread";
+    case "ForOfStatement":
+    case "ForInStatement":
+      return "iterated";
+    case "VariableDeclarator":
+    case "AssignmentExpression":
+      return "assigned to a variable";
+    case "Property":
+    case "ArrayExpression":
+      return "stored in an object or array";
+    case "ExportSpecifier":
+      return "re-exported";
+    case "ReturnStatement":
+    case "ArrowFunctionExpression":
+      return "returned";
+    case "JSXOpeningElement":
+    case "JSXClosingElement":
+      return "rendered as a component";
+    default:
+      return parent.type.startsWith("TS")
+        ? "used in a type position"
+        : "used as a value";
+  }
+}
+
+// `/** @jsx h */` and `/** @jsxFrag React.Fragment */` name bindings that
+// compiled JSX uses implicitly
+const JSX_PRAGMA_REGEX = /@jsx(Frag)?\s+([A-Za-z_$][\w$]*)/g;
+
+// Binding the classic JSX runtime compiles elements to without a pragma
+// comment, unless `settings.react.pragma` names another
+const DEFAULT_JSX_PRAGMA = "React";
+
+function upperFirst(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// "lodash" -> "lodash", "@mui/icons-material" -> "iconsMaterial"
+function toIdentifierPrefix(name) {
+  const words = name
+    .split("/")
+    .pop()
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean);
+  const prefix = words
+    .map((word, index) =>
+      index === 0
+        ? word.charAt(0).toLowerCase() + word.slice(1)
+        : upperFirst(word)
+    )
+    .join("");
+  return /^[A-Za-z_$]/.test(prefix) ? prefix : `_${prefix}`;
+}
+
+// `require("lib")` with a string literal
+function isRequireCall(node) {
+  return (
+    Boolean(node) &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === "Literal" &&
+    typeof node.arguments[0].value === "string"
+  );
+}
+
+// `require("lib").default`, the CommonJS view of an ES default export
+function isDefaultRequire(node) {
+  return (
+    Boolean(node) &&
+    node.type === "MemberExpression" &&
+    isRequireCall(node.object) &&
+    (node.computed ? node.property.value : node.property.name) === "default"
+  );
+}
+
+// Library of `require("lib")` or `require("lib").default`, or null
+function getRequireSource(node) {
+  const call = isDefaultRequire(node) ? node.object : node;
+  return isRequireCall(call) ? call.arguments[0].value : null;
+}
+
+// `map` or `map as lodashMap`
+function formatImportSpecifier({ property, localName }) {
+  return localName === property ? property : `${property} as ${localName}`;
+}
+
+// `map` or `map: lodashMap`
+function formatPatternProperty({ property, localName }) {
+  return localName === property ? property : `${property}: ${localName}`;
+}
+
+// Rewrites shipped with the rule, enabled with `rewritePresets`
+const REWRITE_PRESETS = {
+  lodash: { lodash: "lodash/{{prop}}" },
+  "lodash-es": { lodash: { module: "lodash-es", importStyle: "named" } },
+  "date-fns": {
+    "date-fns": { module: "date-fns/{{prop}}", importStyle: "named" },
+  },
+  mui: {
+    "@mui/material": "@mui/material/{{prop}}",
+    "@mui/icons-material": "@mui/icons-material/{{prop}}",
+  },
+  "react-icons": {
+    "react-icons/*": {
+      module: "@react-icons/all-files/{{path}}/{{prop}}",
+      importStyle: "named",
+    },
+  },
+};
+
+// Rewrite for `libraryName` as `{ module, importStyle, path }`, or null.
+// Exact keys win over `prefix/*` keys, and longer prefixes over shorter.
+function findRewrite(rewrites, libraryName) {
+  let key = Object.prototype.hasOwnProperty.call(rewrites, libraryName)
+    ? libraryName
+    : null;
+  let wildcardPath = "";
+  if (!key) {
+    for (const candidate of Object.keys(rewrites)) {
+      const prefix = candidate.endsWith("/*") ? candidate.slice(0, -1) : null;
+      if (
+        prefix &&
+        libraryName.startsWith(prefix) &&
+        libraryName.length > prefix.length &&
+        (!key || candidate.length > key.length)
+      ) {
+        key = candidate;
+        wildcardPath = libraryName.slice(prefix.length);
+      }
+    }
+  }
+  if (!key) {
+    return null;
+  }
+
+  const rewrite = rewrites[key];
+  return typeof rewrite === "string"
+    ? { module: rewrite, importStyle: "default", path: wildcardPath }
+    : {
+        module: rewrite.module,
+        importStyle: rewrite.importStyle || "default",
+        path: wildcardPath,
+      };
+}
+
+// "lodash/{{prop}}" -> "lodash/map"
+function renderRewriteModule(rewrite, property) {
+  return rewrite.module
+    .replace(/\{\{prop\}\}/g, property)
+    .replace(/\{\{path\}\}/g, rewrite.path);
+}
+
+// `import map from "lodash/map";`, or the `require()` form of it
+function formatRewriteStatement(specifier, style) {
+  const { isRequire, kind, quote, semicolon } = style;
+  const source = `${quote}${specifier.module}${quote}`;
+  const isDefault = specifier.importStyle === "default";
+
+  if (isRequire) {
+    const binding = isDefault
+      ? specifier.localName
+      : `{ ${formatPatternProperty(specifier)} }`;
+    return `${kind} ${binding} = require(${source})${semicolon}`;
+  }
+  const binding = isDefault
+    ? specifier.localName
+    : `{ ${formatImportSpecifier(specifier)} }`;
+  const prefix = specifier.isType ? "import type" : "import";
+  return `${prefix} ${binding} from ${source}${semicolon}`;
+}
+
+// compilerOptions of the tsconfig.json closest to `filename`
+function getCompilerOptions(filename) {
+  const startDir = path.dirname(filename);
+  return compilerOptionsCache.get(startDir, () => {
+    const visitedDirs = new Set();
+    const configPath = findNearestConfig(
+      startDir,
+      ["tsconfig.json"],
+      visitedDirs
+    );
+    if (!configPath) {
+      return { value: {}, dependencies: visitedDirs };
+    }
+    const tsconfig = loadTsconfig(configPath);
+    return {
+      value: tsconfig.compilerOptions,
+      dependencies: [...visitedDirs, ...tsconfig.files],
+    };
+  }).value;
+}
+
+// Variable `name` refers to at `scope`
+function findVariable(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name);
+    if (variable) return variable;
+  }
+  return null;
+}
+
 module.exports = {
   meta: {
     type: "suggestion",
     docs: {
       description:
-        "Disallow using default imports as namespaces, encourage named imports, and provide autofix.",
+        "Disallow using default imports, namespace imports and require() bindings as namespaces, encourage named imports, and provide autofix.",
       category: "Best Practices",
       recommended: false,
       url: "https://github.com/tnnquang/eslint-plugin#no-namespace-import",
     },
     fixable: "code",
+    hasSuggestions: true,
     schema: [
       {
         type: "object",
@@ -43,7 +371,57 @@ module.exports = {
             type: "boolean", 
             default: false,
             description: "Allow namespace imports for TypeScript type-only imports"
-          }
+          },
+          rewrites: {
+            type: "object",
+            additionalProperties: {
+              oneOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  properties: {
+                    module: { type: "string" },
+                    importStyle: {
+                      type: "string",
+                      enum: ["default", "named"],
+                    },
+                  },
+                  required: ["module"],
+                  additionalProperties: false,
+                },
+              ],
+            },
+            description:
+              'Import members of a library from their own module: `{ lodash: "lodash/{{prop}}" }`. Keys may end with `/*`, matched by `{{path}}`',
+          },
+          rewritePresets: {
+            type: "array",
+            items: {
+              type: "string",
+              enum: Object.keys(REWRITE_PRESETS),
+            },
+            uniqueItems: true,
+            description: "Built-in rewrites to enable",
+          },
+          typeImportStyle: {
+            type: "string",
+            enum: ["inline-type-imports", "separate-type-imports"],
+            description:
+              "How fixes import types, like the fixStyle of @typescript-eslint/consistent-type-imports (default: separate under verbatimModuleSyntax, otherwise the style the file already uses)",
+          },
+          checkPackageExports: {
+            type: "boolean",
+            default: true,
+            description:
+              "Read the package from node_modules and only autofix members that are real named exports",
+          },
+          nonExportedMembers: {
+            type: "string",
+            enum: ["suggest", "ignore"],
+            default: "suggest",
+            description:
+              "How to handle members that are not named exports of the package: report them with a suggestion, or ignore them",
+          },
         },
         additionalProperties: false,
       },
@@ -54,25 +432,141 @@ module.exports = {
       noDefaultImportForNamespace:
         "Default import '{{importName}}' from '{{libraryName}}' is being used as a namespace. Prefer named imports (e.g.: `import { {{properties}} } from '{{libraryName}}';`).",
       noTypeNamespaceUsage:
-        "Do not use type import '{{objectName}}' from '{{libraryName}}' as a namespace for '{{propertyName}}'. Import type '{{propertyName}}' directly: `import type { {{propertyName}} } from '{{libraryName}}';`.",
+        "Do not use '{{objectName}}' from '{{libraryName}}' as a namespace for type '{{propertyName}}'. Import type '{{propertyName}}' directly: `import type { {{propertyName}} } from '{{libraryName}}';`.",
       noDefaultTypeImportForNamespace:
-        "Default type import '{{importName}}' from '{{libraryName}}' is being used as a namespace. Prefer named type imports (e.g.: `import type { {{properties}} } from '{{libraryName}}';`)."
+        "Default type import '{{importName}}' from '{{libraryName}}' is being used as a namespace. Prefer named type imports (e.g.: `import type { {{properties}} } from '{{libraryName}}';`).",
+      noNamespaceTypeImport:
+        "Namespace type import '{{importName}}' from '{{libraryName}}' is only used for its members. Prefer named type imports (e.g.: `import type { {{properties}} } from '{{libraryName}}';`).",
+      noNamespaceImportUsage:
+        "Do not use namespace import '{{objectName}}' from '{{libraryName}}' for '{{propertyName}}'. Import '{{propertyName}}' directly: `import { {{propertyName}} } from '{{libraryName}}';`.",
+      noRequireNamespaceUsage:
+        "Do not use '{{objectName}}' = {{requireSource}} as a namespace for '{{propertyName}}'. Destructure '{{propertyName}}' directly: `const { {{propertyName}} } = {{requireSource}};`.",
+      noRequireNamespace:
+        "'{{importName}}' = {{requireSource}} is being used as a namespace. Prefer destructuring (e.g.: `const { {{properties}} } = {{requireSource}};`).",
+      noNamespaceImport:
+        "Namespace import '{{importName}}' from '{{libraryName}}' is only used for its members. Prefer named imports (e.g.: `import { {{properties}} } from '{{libraryName}}';`).",
+      noNamespaceUsageRewrite:
+        "Do not use '{{objectName}}' from '{{libraryName}}' as a namespace for '{{propertyName}}'. Import it from its own module: `{{statement}}`.",
+      noNamespaceRewrite:
+        "'{{importName}}' from '{{libraryName}}' is being used as a namespace. Import each member from its own module (e.g.: `{{statement}}`).",
+      notNamedExport:
+        "'{{propertyName}}' is not a named export of '{{libraryName}}', so '{{objectName}}.{{propertyName}}' is not rewritten automatically.",
+      importAnyway:
+        "Import '{{propertyName}}' from '{{libraryName}}' by name anyway.",
+      rewriteModuleNotFound:
+        "'{{libraryName}}' does not exist, so '{{objectName}}.{{propertyName}}' is not rewritten automatically.",
+      importFromModuleAnyway:
+        "Import '{{propertyName}}' from '{{libraryName}}' anyway.",
+      namespaceUsedAsValue:
+        "Namespace import '{{importName}}' from '{{libraryName}}' is {{usage}} on line {{line}}, so it cannot be replaced with named imports automatically. Import the members you need by name, or add '{{libraryName}}' to allowedLibraries.",
+      invalidConfig: INVALID_CONFIG_MESSAGE,
     },
   },
   create(context) {
-    const options = context.options[0] || {};
+    const { options, problems: configProblems } = getOptionsWithSettings(
+      context,
+      SHARED_SETTINGS
+    );
     const allowedLibraries = new Set(options.allowedLibraries || []);
     const targetLibraries = options.targetLibraries || [];
     const shouldCheckAllLibraries = targetLibraries.length === 0;
     const checkTypeScriptTypes = options.checkTypeScriptTypes !== false;
     const allowTypeNamespaces = options.allowTypeNamespaces || false;
+    const checkPackageExports = options.checkPackageExports !== false;
+    const nonExportedMembers = options.nonExportedMembers || "suggest";
+    const rewrites = Object.assign(
+      {},
+      ...(options.rewritePresets || []).map((name) => REWRITE_PRESETS[name]),
+      options.rewrites
+    );
+    // Type positions such as `React.FC` are opted out of together with
+    // type-only imports
+    const checkTypePositions = checkTypeScriptTypes && !allowTypeNamespaces;
+
+    for (const libraryName of targetLibraries) {
+      if (allowedLibraries.has(libraryName)) {
+        configProblems.push(
+          `no-namespace-import never checks "${libraryName}" because it is in both "allowedLibraries" and "targetLibraries"`
+        );
+      }
+    }
+    if (!checkTypeScriptTypes) {
+      for (const key of ["allowTypeNamespaces", "typeImportStyle"]) {
+        if (options[key]) {
+          configProblems.push(
+            `no-namespace-import ignores "${key}" when "checkTypeScriptTypes" is false`
+          );
+        }
+      }
+    }
 
     // Check if current file is TypeScript
-    const filename = context.getFilename();
+    const filename = getFilename(context);
     const isTypeScript = /\.(ts|tsx)$/.test(filename);
+    // Code blocks from processors have virtual names such as
+    // "README.md/0.ts"; packages and the tsconfig are looked up from the
+    // file on disk
+    const physicalFilename = getPhysicalFilename(context);
 
-    // Store information about default imports
+    // Store information about default and namespace imports
     const defaultImports = new Map(); // libraryName -> [import info]
+    // Every import declaration by source, to reuse existing named imports
+    const sourceImports = new Map(); // libraryName -> [ImportDeclaration]
+    // Top-level `const { a } = require(...)` declarators by source
+    const sourceRequires = new Map(); // libraryName -> [VariableDeclarator]
+
+    const jsxPragmaNames = new Set();
+    let hasJsxPragmaComment = false;
+    for (const comment of getSourceCode(context).getAllComments()) {
+      for (const match of comment.value.matchAll(JSX_PRAGMA_REGEX)) {
+        jsxPragmaNames.add(match[2]);
+        hasJsxPragmaComment = hasJsxPragmaComment || !match[1];
+      }
+    }
+    const reactSettings = context.settings && context.settings.react;
+    const defaultJsxPragma =
+      (reactSettings && typeof reactSettings.pragma === "string"
+        ? reactSettings.pragma
+        : null) || DEFAULT_JSX_PRAGMA;
+    // Set once the file contains JSX, which the classic runtime compiles to
+    // `React.createElement` calls
+    let hasJsx = false;
+
+    // Follow the option, then verbatimModuleSyntax (where inline `type`
+    // specifiers can leave side-effect imports behind), then the file
+    let typeImportStyle = options.typeImportStyle;
+    function detectTypeImportStyle() {
+      if (getCompilerOptions(physicalFilename).verbatimModuleSyntax === true) {
+        return "separate-type-imports";
+      }
+      for (const declarations of sourceImports.values()) {
+        for (const declaration of declarations) {
+          const hasNamed = declaration.specifiers.some(
+            (s) => s.type === "ImportSpecifier"
+          );
+          if (declaration.importKind === "type" && hasNamed) {
+            return "separate-type-imports";
+          }
+          if (declaration.specifiers.some((s) => s.importKind === "type")) {
+            return "inline-type-imports";
+          }
+        }
+      }
+      return "inline-type-imports";
+    }
+
+    // Module and import style of a member under `rewrites`, or null
+    function getRewriteTarget(imp, property) {
+      const rewrite = imp.isDefaultRequire
+        ? null
+        : findRewrite(rewrites, imp.libraryName);
+      return rewrite
+        ? {
+            module: renderRewriteModule(rewrite, property),
+            importStyle: rewrite.importStyle,
+          }
+        : null;
+    }
 
     function shouldCheckLibrary(libraryName) {
       if (allowedLibraries.has(libraryName)) {
@@ -81,31 +575,746 @@ module.exports = {
       return shouldCheckAllLibraries || targetLibraries.includes(libraryName);
     }
 
+    // Split the references of an import binding into member reads, other
+    // (value) uses and type-position member reads that are not checked.
+    // JSX references are collected separately because not every scope
+    // manager tracks them.
+    function collectUsages(imp) {
+      const seen = new Set();
+      const memberUsages = [];
+      const valueUsages = [];
+      const ignoredTypeUsages = [];
+      const identifiers = [
+        ...imp.variable.references
+          .filter((ref) => !ref.init)
+          .map((ref) => ref.identifier),
+        ...imp.jsxIdentifiers,
+      ];
+
+      for (const identifier of identifiers) {
+        if (seen.has(identifier)) continue;
+        seen.add(identifier);
+
+        const usage = getMemberUsage(identifier);
+        // Type positions of `require()` bindings are left alone
+        if (usage && usage.isType && (!checkTypePositions || imp.isRequire)) {
+          ignoredTypeUsages.push(usage);
+        } else if (usage) {
+          memberUsages.push(usage);
+        } else {
+          valueUsages.push(identifier);
+        }
+      }
+
+      return { memberUsages, valueUsages, ignoredTypeUsages };
+    }
+
+    // Remember JSX names that resolve to a tracked import binding
+    function trackJsxIdentifier(identifier) {
+      for (const imports of defaultImports.values()) {
+        const imp = imports.find((i) => i.localName === identifier.name);
+        if (
+          imp &&
+          findVariable(getScope(context, identifier), imp.localName) ===
+            imp.variable
+        ) {
+          imp.jsxIdentifiers.push(identifier);
+          return;
+        }
+      }
+    }
+
+    // Local names an existing named import of `property` from the library
+    // is bound to, when it is visible at every usage site. Type-only
+    // specifiers only serve type positions.
+    function findExistingLocalName(imp, property, usageNodes, isType) {
+      const rewriteTarget = getRewriteTarget(imp, property);
+      let candidates = [];
+      if (rewriteTarget) {
+        candidates = imp.isRequire
+          ? []
+          : getRewrittenImportNames(rewriteTarget, property, isType);
+      } else {
+        candidates = imp.isRequire
+          ? getDestructuredNames(imp, property)
+          : getImportedNames(imp, property, isType);
+      }
+
+      for (const { node, localName } of candidates) {
+        const variable = getDeclaredVariables(context, node).find(
+          (v) => v.name === localName
+        );
+        if (
+          usageNodes.every(
+            (usageNode) =>
+              findVariable(getScope(context, usageNode), localName) === variable
+          )
+        ) {
+          return localName;
+        }
+      }
+      return null;
+    }
+
+    // `{ node, localName }` of every `import { property }` of the library
+    function getImportedNames(imp, property, isType) {
+      const names = [];
+      for (const declaration of sourceImports.get(imp.libraryName) || []) {
+        for (const specifier of declaration.specifiers) {
+          const isTypeOnly =
+            declaration.importKind === "type" ||
+            specifier.importKind === "type";
+          if (
+            specifier.type === "ImportSpecifier" &&
+            (specifier.imported.name || specifier.imported.value) ===
+              property &&
+            (!isTypeOnly || isType)
+          ) {
+            names.push({ node: declaration, localName: specifier.local.name });
+          }
+        }
+      }
+      return names;
+    }
+
+    // `{ node, localName }` of every import of `property` from the module
+    // a rewrite points at
+    function getRewrittenImportNames(rewriteTarget, property, isType) {
+      const names = [];
+      const declarations = sourceImports.get(rewriteTarget.module) || [];
+      for (const declaration of declarations) {
+        for (const specifier of declaration.specifiers) {
+          const isTypeOnly =
+            declaration.importKind === "type" ||
+            specifier.importKind === "type";
+          const matches =
+            rewriteTarget.importStyle === "default"
+              ? specifier.type === "ImportDefaultSpecifier"
+              : specifier.type === "ImportSpecifier" &&
+                (specifier.imported.name || specifier.imported.value) ===
+                  property;
+          if (matches && (!isTypeOnly || isType)) {
+            names.push({ node: declaration, localName: specifier.local.name });
+          }
+        }
+      }
+      return names;
+    }
+
+    // `{ node, localName }` of every `const { property } = require(...)`
+    // of the library, with the same `.default` access as the binding
+    function getDestructuredNames(imp, property) {
+      const names = [];
+      for (const declarator of sourceRequires.get(imp.libraryName) || []) {
+        if (isDefaultRequire(declarator.init) !== imp.isDefaultRequire) {
+          continue;
+        }
+        for (const prop of declarator.id.properties) {
+          if (
+            prop.type === "Property" &&
+            !prop.computed &&
+            (prop.key.name || prop.key.value) === property &&
+            prop.value.type === "Identifier"
+          ) {
+            names.push({ node: declarator, localName: prop.value.name });
+          }
+        }
+      }
+      return names;
+    }
+
+    // A new binding must not collide with a visible variable or with an
+    // undeclared global at any usage site
+    function isNameAvailable(name, usageNodes, takenNames) {
+      const { globalScope } = getSourceCode(context).scopeManager;
+      return (
+        !takenNames.has(name) &&
+        !globalScope.through.some((ref) => ref.identifier.name === name) &&
+        usageNodes.every(
+          (node) => !findVariable(getScope(context, node), name)
+        )
+      );
+    }
+
+    // `map`, or `lodashMap` / `FormItem` when `map` / `Item` is taken or
+    // is a type keyword read in a type position (`z.infer` -> `zodInfer`)
+    function chooseLocalName(imp, property, usages, takenNames) {
+      const usageNodes = usages.map((usage) => usage.node);
+      const prefix = toIdentifierPrefix(
+        imp.localName.length > 1 ? imp.localName : imp.libraryName
+      );
+      const alias = /^[A-Z]/.test(property)
+        ? `${upperFirst(prefix)}${property}`
+        : `${prefix}${upperFirst(property)}`;
+
+      const isTypeKeyword =
+        TYPE_KEYWORDS.has(property) && usages.some((usage) => usage.isType);
+      if (
+        !isTypeKeyword &&
+        isNameAvailable(property, usageNodes, takenNames)
+      ) {
+        return property;
+      }
+      for (let index = 1; ; index++) {
+        const candidate = index === 1 ? alias : `${alias}${index}`;
+        if (isNameAvailable(candidate, usageNodes, takenNames)) {
+          return candidate;
+        }
+      }
+    }
+
+    // Work out, for one import declaration, the local name of every member
+    // and which default/namespace bindings are still needed. `takenNames`
+    // holds the names already added to other declarations of the file.
+    function planDeclaration(declaration, entries, takenNames) {
+      const newSpecifiers = [];
+      const replacements = [];
+      const removedSpecifiers = new Set();
+
+      for (const { imp, memberUsages, keepBinding } of entries) {
+        const usagesByProperty = new Map();
+        for (const usage of memberUsages) {
+          if (!usagesByProperty.has(usage.propertyName)) {
+            usagesByProperty.set(usage.propertyName, []);
+          }
+          usagesByProperty.get(usage.propertyName).push(usage);
+        }
+
+        for (const [property, usages] of usagesByProperty) {
+          // A member also read as a value needs a value import
+          const isType = imp.isTypeImport || usages.every((u) => u.isType);
+          const usageNodes = usages.map((usage) => usage.node);
+          let localName = findExistingLocalName(
+            imp,
+            property,
+            usageNodes,
+            isType
+          );
+          if (!localName) {
+            localName = chooseLocalName(imp, property, usages, takenNames);
+            newSpecifiers.push({
+              property,
+              localName,
+              isType,
+              ...getRewriteTarget(imp, property),
+            });
+          }
+          takenNames.add(localName);
+          usageNodes.forEach((node) => replacements.push({ node, localName }));
+        }
+
+        if (!keepBinding) {
+          removedSpecifiers.add(imp.specifier);
+        }
+      }
+
+      return { declaration, newSpecifiers, replacements, removedSpecifiers };
+    }
+
+    // Edit the declaration in place so that comments, quotes, `type`
+    // modifiers and unrelated specifiers survive
+    function fixDeclaration(fixer, plan) {
+      if (plan.newSpecifiers.some((s) => s.module)) {
+        return fixRewrite(fixer, plan);
+      }
+      if (plan.declaration.type === "VariableDeclarator") {
+        return fixRequire(fixer, plan);
+      }
+
+      const sourceCode = getSourceCode(context);
+      const { declaration, newSpecifiers, removedSpecifiers } = plan;
+      const { specifiers } = declaration;
+      const isTypeDeclaration = declaration.importKind === "type";
+      const namedSpecifiers = specifiers.filter(
+        (s) => s.type === "ImportSpecifier"
+      );
+      if (!typeImportStyle) {
+        typeImportStyle = detectTypeImportStyle();
+      }
+      const separateTypes =
+        !isTypeDeclaration && typeImportStyle === "separate-type-imports";
+      const typeSpecifiers = separateTypes
+        ? newSpecifiers.filter((s) => s.isType).map(formatImportSpecifier)
+        : [];
+      const inlineSpecifiers = newSpecifiers
+        .filter((s) => !separateTypes || !s.isType)
+        .map((s) =>
+          s.isType && !isTypeDeclaration
+            ? `type ${formatImportSpecifier(s)}`
+            : formatImportSpecifier(s)
+        );
+      const source = sourceCode.getText(declaration.source);
+      const semicolon = sourceCode.getText(declaration).endsWith(";")
+        ? ";"
+        : "";
+      const importStatement = (prefix, names) =>
+        `${prefix} { ${names.join(", ")} } from ${source}${semicolon}`;
+      const fixes = [];
+
+      // `import type { A } from "lib"` of the same library, to add types to
+      const typeDeclaration =
+        typeSpecifiers.length > 0 &&
+        (sourceImports.get(declaration.source.value) || []).find(
+          (d) =>
+            d !== declaration &&
+            d.importKind === "type" &&
+            d.specifiers.some((s) => s.type === "ImportSpecifier")
+        );
+      const extraDeclarations = [];
+      if (typeDeclaration) {
+        const typeNamed = typeDeclaration.specifiers.filter(
+          (s) => s.type === "ImportSpecifier"
+        );
+        fixes.push(
+          fixer.insertTextAfter(
+            typeNamed[typeNamed.length - 1],
+            `, ${typeSpecifiers.join(", ")}`
+          )
+        );
+      } else if (typeSpecifiers.length > 0) {
+        extraDeclarations.push(importStatement("import type", typeSpecifiers));
+      }
+
+      if (namedSpecifiers.length > 0) {
+        // `import React, { useState } from "react"`
+        if (inlineSpecifiers.length > 0) {
+          fixes.push(
+            fixer.insertTextAfter(
+              namedSpecifiers[namedSpecifiers.length - 1],
+              `, ${inlineSpecifiers.join(", ")}`
+            )
+          );
+        }
+        for (const specifier of removedSpecifiers) {
+          const comma = sourceCode.getTokenAfter(specifier);
+          fixes.push(
+            fixer.removeRange([
+              specifier.range[0],
+              sourceCode.getTokenAfter(comma).range[0],
+            ])
+          );
+        }
+        if (extraDeclarations.length > 0) {
+          fixes.push(
+            fixer.insertTextAfter(
+              declaration,
+              `\n${extraDeclarations.join("\n")}`
+            )
+          );
+        }
+        return fixes;
+      }
+
+      const keptSpecifiers = specifiers.filter(
+        (s) => !removedSpecifiers.has(s)
+      );
+      // Named specifiers cannot sit next to `* as NS`, nor next to the
+      // default of an `import type`
+      const needsSeparateImport =
+        keptSpecifiers.some((s) => s.type === "ImportNamespaceSpecifier") ||
+        (isTypeDeclaration && keptSpecifiers.length > 0);
+      const clause = keptSpecifiers.map((s) => sourceCode.getText(s));
+      if (inlineSpecifiers.length > 0) {
+        if (needsSeparateImport) {
+          const importPrefix = isTypeDeclaration ? "import type" : "import";
+          extraDeclarations.unshift(
+            importStatement(importPrefix, inlineSpecifiers)
+          );
+        } else if (
+          clause.length === 0 &&
+          !isTypeDeclaration &&
+          newSpecifiers.every((s) => s.isType)
+        ) {
+          // Only types are left: `import type { FC }` rather than
+          // `import { type FC }`, which keeps a side-effect import
+          fixes.push(
+            fixer.insertTextAfter(
+              sourceCode.getFirstToken(declaration),
+              " type"
+            )
+          );
+          clause.push(
+            `{ ${newSpecifiers.map(formatImportSpecifier).join(", ")} }`
+          );
+        } else {
+          clause.push(`{ ${inlineSpecifiers.join(", ")} }`);
+        }
+      }
+
+      if (clause.length === 0) {
+        return [
+          ...fixes,
+          extraDeclarations.length > 0
+            ? fixer.replaceText(declaration, extraDeclarations.join("\n"))
+            : fixer.remove(declaration),
+        ];
+      }
+
+      fixes.push(
+        fixer.replaceTextRange(
+          [specifiers[0].range[0], specifiers[specifiers.length - 1].range[1]],
+          clause.join(", ")
+        )
+      );
+      if (extraDeclarations.length > 0) {
+        fixes.push(
+          fixer.insertTextAfter(
+            declaration,
+            `\n${extraDeclarations.join("\n")}`
+          )
+        );
+      }
+
+      return fixes;
+    }
+
+    // Whether the package really exports a member by name; true when that
+    // can't be known (not installed, unreadable entry...). A CommonJS
+    // `module.exports = fn` exports no names, so its members are reported
+    // as not exported. Type positions are checked against the types.
+    // Destructuring a `require()` reads any property, so it isn't checked.
+    // The per-member module of a rewrite must exist, and is assumed to
+    // export a default when the rewrite imports one.
+    function isNamedExport(imp, usage) {
+      const rewriteTarget = getRewriteTarget(imp, usage.propertyName);
+      if (!checkPackageExports) {
+        return true;
+      }
+      if (isRewriteModuleMissing(imp, usage.propertyName)) {
+        return false;
+      }
+      if (
+        imp.isRequire ||
+        (rewriteTarget && rewriteTarget.importStyle === "default")
+      ) {
+        return true;
+      }
+      const exportsInfo = getPackageExports(
+        getImportSource(imp, usage.propertyName),
+        path.dirname(physicalFilename)
+      );
+      if (!exportsInfo) {
+        return true;
+      }
+      const names =
+        imp.isTypeImport || usage.isType
+          ? exportsInfo.types
+          : exportsInfo.values || exportsInfo.types;
+      return !names || names.has(usage.propertyName);
+    }
+
+    // Whether the module a rewrite renders for a member (`lodash/VERSION`)
+    // is known not to exist in the installed package
+    function isRewriteModuleMissing(imp, property) {
+      const rewriteTarget = getRewriteTarget(imp, property);
+      return (
+        rewriteTarget !== null &&
+        moduleExists(rewriteTarget.module, path.dirname(physicalFilename)) ===
+          false
+      );
+    }
+
+    // Module a member is imported from once fixed
+    function getImportSource(imp, property) {
+      const rewriteTarget = getRewriteTarget(imp, property);
+      return rewriteTarget ? rewriteTarget.module : imp.libraryName;
+    }
+
+    // Members the package doesn't export by name are only reported with a
+    // suggestion: rewriting them would break the import
+    function reportNonExported(declaration, entry, takenNames) {
+      const { imp, memberUsages, nonExportedUsages, hasValueUsages } = entry;
+      const usagesByProperty = new Map();
+      for (const usage of nonExportedUsages) {
+        if (!usagesByProperty.has(usage.propertyName)) {
+          usagesByProperty.set(usage.propertyName, []);
+        }
+        usagesByProperty.get(usage.propertyName).push(usage);
+      }
+
+      for (const [propertyName, usages] of usagesByProperty) {
+        const data = {
+          objectName: imp.localName,
+          propertyName,
+          libraryName: getImportSource(imp, propertyName),
+        };
+        const isModuleMissing = isRewriteModuleMissing(imp, propertyName);
+        const plan = planDeclaration(
+          declaration,
+          [
+            {
+              imp,
+              memberUsages: usages,
+              keepBinding:
+                hasValueUsages ||
+                memberUsages.length > 0 ||
+                usagesByProperty.size > 1,
+            },
+          ],
+          new Set(takenNames)
+        );
+        usages.forEach((usage) => {
+          context.report({
+            node: usage.node,
+            messageId: isModuleMissing
+              ? "rewriteModuleNotFound"
+              : "notNamedExport",
+            data,
+            suggest: [
+              {
+                messageId: isModuleMissing
+                  ? "importFromModuleAnyway"
+                  : "importAnyway",
+                data,
+                fix: (fixer) => [
+                  ...plan.replacements.map(({ node, localName }) =>
+                    fixer.replaceText(node, localName)
+                  ),
+                  ...fixDeclaration(fixer, plan),
+                ],
+              },
+            ],
+          });
+        });
+      }
+    }
+
+    // One import (or require) per member from the module the rewrite
+    // names; the original binding goes once nothing else uses it
+    function fixRewrite(fixer, plan) {
+      const sourceCode = getSourceCode(context);
+      const { declaration, newSpecifiers, removedSpecifiers } = plan;
+      const isRequire = declaration.type === "VariableDeclarator";
+      const statement = isRequire ? declaration.parent : declaration;
+      const sourceNode = isRequire
+        ? declaration.init.arguments[0]
+        : declaration.source;
+      const style = {
+        isRequire,
+        kind: statement.kind,
+        quote: sourceCode.getText(sourceNode).charAt(0),
+        semicolon: sourceCode.getText(statement).endsWith(";") ? ";" : "",
+      };
+      const text = newSpecifiers
+        .map((specifier) => formatRewriteStatement(specifier, style))
+        .join("\n");
+
+      const removesStatement = isRequire
+        ? removedSpecifiers.size > 0 && statement.declarations.length === 1
+        : statement.specifiers.every((s) => removedSpecifiers.has(s));
+      if (removesStatement) {
+        return [fixer.replaceText(statement, text)];
+      }
+
+      const cleanup = { declaration, newSpecifiers: [], removedSpecifiers };
+      return [
+        ...(removedSpecifiers.size > 0 ? fixDeclaration(fixer, cleanup) : []),
+        fixer.insertTextAfter(statement, `\n${text}`),
+      ];
+    }
+
+    // `const _ = require("lodash")` becomes `const { get } = require(...)`,
+    // or is followed by a destructuring declaration while `_` is still used
+    function fixRequire(fixer, plan) {
+      const sourceCode = getSourceCode(context);
+      const {
+        declaration: declarator,
+        newSpecifiers,
+        removedSpecifiers,
+      } = plan;
+      const declaration = declarator.parent;
+      const pattern = `{ ${newSpecifiers
+        .map(formatPatternProperty)
+        .join(", ")} }`;
+
+      if (removedSpecifiers.size === 0) {
+        if (newSpecifiers.length === 0) {
+          return [];
+        }
+        const semicolon = sourceCode.getText(declaration).endsWith(";")
+          ? ";"
+          : "";
+        const init = sourceCode.getText(declarator.init);
+        return [
+          fixer.insertTextAfter(
+            declaration,
+            `\n${declaration.kind} ${pattern} = ${init}${semicolon}`
+          ),
+        ];
+      }
+
+      if (newSpecifiers.length > 0) {
+        return [fixer.replaceText(declarator.id, pattern)];
+      }
+
+      // Every member already has a destructured binding
+      const { declarations } = declaration;
+      if (declarations.length === 1) {
+        return [fixer.remove(declaration)];
+      }
+      return declarator === declarations[declarations.length - 1]
+        ? [
+            fixer.removeRange([
+              sourceCode.getTokenBefore(declarator).range[0],
+              declarator.range[1],
+            ]),
+          ]
+        : [
+            fixer.removeRange([
+              declarator.range[0],
+              sourceCode.getTokenAfter(sourceCode.getTokenAfter(declarator))
+                .range[0],
+            ]),
+          ];
+    }
+
+    // Report every binding of the declaration; the first report carries a
+    // single fix for the whole declaration and all of its usages
+    function reportDeclaration(declaration, entries, takenNames) {
+      const plan = planDeclaration(declaration, entries, takenNames);
+      const fix = (fixer) => [
+        ...plan.replacements.map(({ node, localName }) =>
+          fixer.replaceText(node, localName)
+        ),
+        ...fixDeclaration(fixer, plan),
+      ];
+
+      entries.forEach(({ imp, memberUsages }, index) => {
+        const properties = Array.from(
+          new Set(memberUsages.map((usage) => usage.propertyName))
+        );
+        const requireSource = imp.isRequire
+          ? getSourceCode(context).getText(imp.node.init)
+          : null;
+        // Example statement for the messages of rewritten libraries
+        const formatStatement = (propertyName, isType) => {
+          const rewriteTarget = getRewriteTarget(imp, propertyName);
+          return (
+            rewriteTarget &&
+            formatRewriteStatement(
+              {
+                property: propertyName,
+                localName: propertyName,
+                isType: imp.isTypeImport || isType,
+                ...rewriteTarget,
+              },
+              {
+                isRequire: imp.isRequire,
+                kind: "const",
+                quote: "'",
+                semicolon: ";",
+              }
+            )
+          );
+        };
+
+        let valueMessageId = "noNamespaceUsage";
+        if (imp.isNamespaceImport) {
+          valueMessageId = "noNamespaceImportUsage";
+        } else if (imp.isRequire) {
+          valueMessageId = "noRequireNamespaceUsage";
+        }
+        for (const usage of memberUsages) {
+          const statement = formatStatement(usage.propertyName, usage.isType);
+          let usageMessageId = valueMessageId;
+          if (statement) {
+            usageMessageId = "noNamespaceUsageRewrite";
+          } else if (imp.isTypeImport || usage.isType) {
+            usageMessageId = "noTypeNamespaceUsage";
+          }
+          context.report({
+            node: usage.node,
+            messageId: usageMessageId,
+            data: {
+              objectName: imp.localName,
+              propertyName: usage.propertyName,
+              libraryName: imp.libraryName,
+              requireSource,
+              statement,
+            },
+          });
+        }
+
+        let messageId = imp.isTypeImport ? 
+          "noDefaultTypeImportForNamespace" : 
+          "noDefaultImportForNamespace";
+        if (imp.isNamespaceImport) {
+          messageId = imp.isTypeImport
+            ? "noNamespaceTypeImport"
+            : "noNamespaceImport";
+        } else if (imp.isRequire) {
+          messageId = "noRequireNamespace";
+        }
+        const statement = formatStatement(
+          memberUsages[0].propertyName,
+          memberUsages[0].isType
+        );
+        if (statement) {
+          messageId = "noNamespaceRewrite";
+        }
+        context.report({
+          node: declaration,
+          messageId: messageId,
+          data: {
+            importName: imp.localName,
+            libraryName: imp.libraryName,
+            requireSource,
+            statement,
+            properties:
+              properties.slice(0, 3).join(", ") +
+              (properties.length > 3 ? ", ..." : ""),
+          },
+          ...(index === 0 ? { fix } : {}),
+        });
+      });
+    }
+
     return {
+      Program(node) {
+        reportConfigProblems(context, node, configProblems);
+      },
+
       /**
        * Visitor for ImportDeclaration nodes.
-       * Check for default imports from target libraries.
+       * Check for default and namespace imports from target libraries.
        */
       ImportDeclaration(node) {
         const libraryName = node.source.value;
 
+        if (!sourceImports.has(libraryName)) {
+          sourceImports.set(libraryName, []);
+        }
+        sourceImports.get(libraryName).push(node);
+
         if (!shouldCheckLibrary(libraryName)) {
           return;
         }
 
-        const defaultSpecifier = node.specifiers.find(
-          (s) => s.type === "ImportDefaultSpecifier"
+        // Check if this is a type-only import in TypeScript
+        const isTypeOnlyImport = isTypeScript && 
+          checkTypeScriptTypes && 
+          node.importKind === "type";
+        
+        // Skip if type namespaces are allowed and this is a type import
+        if (isTypeOnlyImport && allowTypeNamespaces) {
+          return;
+        }
+
+        const namespaceSpecifiers = node.specifiers.filter(
+          (s) =>
+            (s.type === "ImportDefaultSpecifier" ||
+              s.type === "ImportNamespaceSpecifier") &&
+            s.local
         );
 
-        if (defaultSpecifier && defaultSpecifier.local) {
-          // Check if this is a type-only import in TypeScript
-          const isTypeOnlyImport = isTypeScript && 
-            checkTypeScriptTypes && 
-            node.importKind === "type";
-          
-          // Skip if type namespaces are allowed and this is a type import
-          if (isTypeOnlyImport && allowTypeNamespaces) {
-            return;
+        const variables = getDeclaredVariables(context, node);
+
+        for (const specifier of namespaceSpecifiers) {
+          const variable = variables.find(
+            (v) => v.name === specifier.local.name
+          );
+          if (!variable) {
+            continue;
           }
 
           if (!defaultImports.has(libraryName)) {
@@ -114,121 +1323,176 @@ module.exports = {
 
           defaultImports.get(libraryName).push({
             node: node,
-            localName: defaultSpecifier.local.name,
+            localName: specifier.local.name,
             libraryName: libraryName,
-            isUsedAsNamespace: false,
-            namespacedProperties: new Set(),
+            specifier: specifier,
+            variable: variable,
+            isNamespaceImport: specifier.type === "ImportNamespaceSpecifier",
+            jsxIdentifiers: [],
             isTypeImport: isTypeOnlyImport,
           });
         }
       },
 
       /**
-       * Visitor for MemberExpression nodes.
-       * Check for namespace usage like `lodash.map`, `Redux.createStore`, etc.
+       * Visitor for top-level `require()` bindings, checked like default
+       * imports: `const _ = require("lodash")` and `require("x").default`.
        */
-      MemberExpression(node) {
+      VariableDeclarator(node) {
+        const libraryName = getRequireSource(node.init);
+        if (!libraryName || node.parent.parent.type !== "Program") {
+          return;
+        }
+        const requireVariable = findVariable(
+          getScope(context, node),
+          "require"
+        );
+        if (requireVariable && requireVariable.defs.length > 0) {
+          return;
+        }
+
+        if (node.id.type === "ObjectPattern") {
+          if (!sourceRequires.has(libraryName)) {
+            sourceRequires.set(libraryName, []);
+          }
+          sourceRequires.get(libraryName).push(node);
+          return;
+        }
+
+        if (node.id.type !== "Identifier" || !shouldCheckLibrary(libraryName)) {
+          return;
+        }
+        const variable = getDeclaredVariables(context, node).find(
+          (v) => v.name === node.id.name
+        );
+        // A reassigned binding may no longer hold the module
         if (
-          node.object &&
-          node.object.type === "Identifier" &&
-          node.property &&
-          node.property.type === "Identifier"
+          !variable ||
+          variable.references.some((ref) => ref.isWrite() && !ref.init)
         ) {
-          const objectName = node.object.name;
-          const propertyName = node.property.name;
-
-          // Find which library this default import belongs to
-          for (const [libraryName, imports] of defaultImports.entries()) {
-            const defaultImport = imports.find(
-              (imp) => imp.localName === objectName
-            );
+          return;
+        }
 
-            if (defaultImport) {
-              defaultImport.isUsedAsNamespace = true;
-              defaultImport.namespacedProperties.add(propertyName);
+        if (!defaultImports.has(libraryName)) {
+          defaultImports.set(libraryName, []);
+        }
+        defaultImports.get(libraryName).push({
+          node: node,
+          localName: node.id.name,
+          libraryName: libraryName,
+          specifier: node,
+          variable: variable,
+          isNamespaceImport: false,
+          isRequire: true,
+          isDefaultRequire: isDefaultRequire(node.init),
+          jsxIdentifiers: [],
+          isTypeImport: false,
+        });
+      },
 
-              const messageId = defaultImport.isTypeImport ? 
-                "noTypeNamespaceUsage" : 
-                "noNamespaceUsage";
+      // <Form.Item>, <Icons.Home />
+      JSXMemberExpression(node) {
+        if (node.object.type === "JSXIdentifier") {
+          trackJsxIdentifier(node.object);
+        }
+      },
 
-              context.report({
-                node: node,
-                messageId: messageId,
-                data: {
-                  objectName: objectName,
-                  propertyName: propertyName,
-                  libraryName: libraryName,
-                },
-                fix(fixer) {
-                  return fixer.replaceText(node, propertyName);
-                },
-              });
-              break;
-            }
-          }
+      // <Icons /> renders the namespace object itself
+      JSXOpeningElement(node) {
+        hasJsx = true;
+        if (node.name.type === "JSXIdentifier") {
+          trackJsxIdentifier(node.name);
         }
       },
 
+      JSXOpeningFragment() {
+        hasJsx = true;
+      },
+
       /**
        * Called after AST traversal is complete.
-       * Report on import declarations that are used as namespaces.
+       * Report on member usages and on import declarations that are used as
+       * namespaces. Only references bound to the import are considered.
        */
       "Program:exit"() {
-        for (const [libraryName, imports] of defaultImports.entries()) {
-          imports.forEach((imp) => {
-            if (imp.isUsedAsNamespace) {
-              const propertiesArray = Array.from(imp.namespacedProperties);
-              const propertiesString =
-                propertiesArray.slice(0, 3).join(", ") +
-                (propertiesArray.length > 3 ? ", ..." : "");
+        const entriesByDeclaration = new Map();
 
-              const messageId = imp.isTypeImport ? 
-                "noDefaultTypeImportForNamespace" : 
-                "noDefaultImportForNamespace";
+        // Without a `@jsx` comment, the classic runtime's `React` binding
+        // stays in files with JSX even if every other use is rewritten
+        if (hasJsx && !hasJsxPragmaComment) {
+          jsxPragmaNames.add(defaultJsxPragma);
+        }
+
+        for (const imports of defaultImports.values()) {
+          imports.forEach((imp) => {
+            const { memberUsages, valueUsages, ignoredTypeUsages } =
+              collectUsages(imp);
 
+            // A namespace object used as a value has no named-import form
+            if (imp.isNamespaceImport && valueUsages.length > 0) {
+              const [valueUsage] = valueUsages.sort(
+                (a, b) => a.range[0] - b.range[0]
+              );
               context.report({
                 node: imp.node,
-                messageId: messageId,
+                messageId: "namespaceUsedAsValue",
                 data: {
                   importName: imp.localName,
-                  libraryName: libraryName,
-                  properties: propertiesString,
-                },
-                fix(fixer) {
-                  // Get existing named import specifiers
-                  const existingNamedImportSpecifiers =
-                    imp.node.specifiers.filter(
-                      (s) => s.type === "ImportSpecifier"
-                    );
-                  const existingNamedImportNames = new Set(
-                    existingNamedImportSpecifiers.map((s) => s.imported.name)
-                  );
-
-                  // Combine existing named imports with namespaced properties
-                  const allNeededNamedImports = new Set([
-                    ...existingNamedImportNames,
-                    ...Array.from(imp.namespacedProperties),
-                  ]);
-
-                  if (allNeededNamedImports.size === 0) {
-                    return fixer.remove(imp.node);
-                  }
-
-                  const sortedNamedImports = Array.from(
-                    allNeededNamedImports
-                  ).sort();
-                  const newImportSpecifiersString =
-                    sortedNamedImports.join(", ");
-                  
-                  const importPrefix = imp.isTypeImport ? "import type" : "import";
-                  const newImportStatement = `${importPrefix} { ${newImportSpecifiersString} } from '${libraryName}';`;
-
-                  return fixer.replaceText(imp.node, newImportStatement);
+                  libraryName: imp.libraryName,
+                  usage: describeValueUsage(valueUsage),
+                  line: valueUsage.loc.start.line,
                 },
               });
+              return;
             }
+
+            if (memberUsages.length === 0) {
+              return;
+            }
+
+            const exportedUsages = memberUsages.filter((usage) =>
+              isNamedExport(imp, usage)
+            );
+            const nonExportedUsages = memberUsages.filter(
+              (usage) => !exportedUsages.includes(usage)
+            );
+
+            if (!entriesByDeclaration.has(imp.node)) {
+              entriesByDeclaration.set(imp.node, []);
+            }
+            entriesByDeclaration.get(imp.node).push({
+              imp,
+              memberUsages: exportedUsages,
+              nonExportedUsages,
+              hasValueUsages:
+                valueUsages.length > 0 ||
+                ignoredTypeUsages.length > 0 ||
+                jsxPragmaNames.has(imp.localName),
+              keepBinding:
+                valueUsages.length > 0 ||
+                ignoredTypeUsages.length > 0 ||
+                jsxPragmaNames.has(imp.localName) ||
+                nonExportedUsages.length > 0,
+            });
           });
         }
+
+        const takenNames = new Set();
+        for (const [declaration, entries] of entriesByDeclaration) {
+          const fixableEntries = entries.filter(
+            (entry) => entry.memberUsages.length > 0
+          );
+          if (fixableEntries.length > 0) {
+            reportDeclaration(declaration, fixableEntries, takenNames);
+          }
+        }
+        if (nonExportedMembers === "suggest") {
+          for (const [declaration, entries] of entriesByDeclaration) {
+            entries.forEach((entry) =>
+              reportNonExported(declaration, entry, takenNames)
+            );
+          }
+        }
       },
     };
   },
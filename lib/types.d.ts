@@ -17,24 +17,97 @@ export interface ESLintRule {
 export interface NoNamespaceImportOptions {
   allowedLibraries?: string[];
   targetLibraries?: string[];
+  checkPackageExports?: boolean;
+  nonExportedMembers?: 'suggest' | 'ignore';
+  checkTypeScriptTypes?: boolean;
+  allowTypeNamespaces?: boolean;
+  typeImportStyle?: 'inline-type-imports' | 'separate-type-imports';
+  rewrites?: Record<
+    string,
+    string | { module: string; importStyle?: 'default' | 'named' }
+  >;
+  rewritePresets?: Array<'lodash' | 'lodash-es' | 'date-fns' | 'mui' | 'react-icons'>;
 }
 
 export interface NoArrowComponentsOptions {
-  // Currently no options, but reserved for future use
+  allowArrowFunctions?: boolean;
+  checkTypeScript?: boolean;
+  componentDetection?: 'name' | 'jsx' | 'strict';
+  allowedWrappers?: Array<string | { name: string; requireNamedFunction?: boolean }>;
+  requireNamedFunction?: boolean;
+  entryFiles?: string[];
+  ignorePatterns?: string[];
+  allowTypedArrows?: boolean;
+  allowCurriedArrows?: boolean;
+  allowSingleExpressionArrows?: boolean;
+  allowExportedArrows?: boolean;
+  allowPrivateArrows?: boolean;
 }
 
 export interface EnforcePathAliasOptions {
+  /** @deprecated Use `boundary` instead. */
   mode?: 'all' | 'direct-children';
+  boundary?: 'none' | { depth: number } | { pattern: string | string[] };
   configFile?: string;
+  project?: 'nearest' | string | string[];
   paths?: Record<string, string[]>;
+  preferredAliases?: string[];
   baseUrl?: string;
   fallbackBaseUrl?: string;
   exclude?: string[];
+  moduleCallNames?: string[];
+  reportUnresolved?: boolean;
+  extensions?: "always" | "never" | "as-is";
+  collapseIndex?: boolean;
+  debugResolution?: boolean;
+}
+
+/** Shared settings under `settings["@tnnquang/eslint"]`; rule options take precedence. */
+export interface SharedSettings {
+  rootDir?: string;
+  configFile?: string;
+  project?: 'nearest' | string | string[];
+  paths?: Record<string, string[]>;
+  baseUrl?: string;
+  fallbackBaseUrl?: string;
+  allowedLibraries?: string[];
+  targetLibraries?: string[];
+  framework?:
+    | 'react'
+    | 'nextjs'
+    | 'vue'
+    | 'nuxt'
+    | 'angular'
+    | 'nestjs'
+    | 'svelte'
+    | 'solid';
 }
 
 export interface PluginConfig {
   plugins: string[];
   rules: Record<string, string | [string, any]>;
+  overrides?: Array<{
+    files: string[];
+    rules: Record<string, string | [string, any]>;
+  }>;
+}
+
+export interface FlatPluginConfig {
+  name: string;
+  files?: string[];
+  plugins: Record<string, ESLintPlugin>;
+  rules: Record<string, string | [string, any]>;
+}
+
+export interface AutoConfigOptions {
+  /**
+   * Directory to look for package.json from (default: process.cwd()).
+   * Workspace `files` patterns are relative to it.
+   */
+  cwd?: string;
+  /** Print the package.json read, the detected frameworks and the rules to stderr. */
+  debug?: boolean;
+  format?: 'flat' | 'eslintrc';
 }
 
 export interface PluginConfigs {
@@ -46,13 +119,32 @@ export interface PluginConfigs {
   nestjs: PluginConfig;
   nextjs: PluginConfig;
   nuxt: PluginConfig;
+  auto: PluginConfig;
+  'flat/recommended': FlatPluginConfig;
+  'flat/strict': FlatPluginConfig;
+  'flat/react': FlatPluginConfig;
+  'flat/vue': FlatPluginConfig;
+  'flat/angular': FlatPluginConfig;
+  'flat/nestjs': FlatPluginConfig;
+  'flat/nextjs': FlatPluginConfig;
+  'flat/nuxt': FlatPluginConfig;
+  /** An array, unlike the other flat presets: spread it into the config. */
+  'flat/auto': FlatPluginConfig[];
+}
+
+export interface PluginMeta {
+  name: string;
+  version: string;
 }
 
 export interface ESLintPlugin {
+  meta: PluginMeta;
   rules: {
     'no-arrow-components': ESLintRule;
     'no-namespace-import': ESLintRule;
     'enforce-path-alias': ESLintRule;
   };
   configs: PluginConfigs;
+  createAutoConfig(options?: AutoConfigOptions & { format?: 'flat' }): FlatPluginConfig[];
+  createAutoConfig(options: AutoConfigOptions & { format: 'eslintrc' }): PluginConfig;
 }
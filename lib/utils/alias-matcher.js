@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Turns tsconfig-style `paths` groups into match patterns and
+ * picks the best alias specifier for a resolved module path. Matching works
+ * on whole path segments, supports exact aliases, a `*` anywhere in the key
+ * and every fallback target.
+ */
+
+const path = require("path");
+
+// Target suffixes that describe the module file rather than its location,
+// e.g. the ".js" in "./src/*.js" or the "/index.ts" in "./src/*/index.ts"
+const MODULE_SUFFIX_REGEX =
+  /^(?:[\\/]index)?(?:\.d\.ts|\.[cm]?[jt]sx?|\.vue|\.svelte|\.json)?$/;
+
+const MODULE_EXTENSION_REGEX =
+  /(?:\.d\.ts|\.[cm]?[jt]sx?|\.vue|\.svelte|\.json)$/;
+
+// Extensions that module resolution adds back, so they can be left off
+const SCRIPT_EXTENSION_REGEX = /\.[jt]sx?$/;
+
+// Extension a specifier needs under NodeNext, by source file extension
+const OUTPUT_EXTENSIONS = [
+  [/\.d\.ts$|\.tsx?$/, ".js"],
+  [/\.d\.mts$|\.mts$/, ".mjs"],
+  [/\.d\.cts$|\.cts$/, ".cjs"],
+];
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+// Drop a module extension and a trailing "/index" for exact comparisons
+function stripModuleSuffix(filePath) {
+  return filePath
+    .replace(MODULE_EXTENSION_REGEX, "")
+    .replace(/[\\/]index$/, "");
+}
+
+/**
+ * Build match patterns from `{ paths, basePath }` groups. Each target of
+ * each alias becomes its own pattern; `order` keeps declaration order for
+ * tie-breaking.
+ */
+function createAliasPatterns(groups) {
+  const patterns = [];
+
+  for (const { paths, basePath } of groups) {
+    for (const [alias, targets] of Object.entries(paths)) {
+      // A bare "*" maps every specifier; it is a fallback, not an alias
+      if (alias === "*" || !Array.isArray(targets)) continue;
+
+      const starIndex = alias.indexOf("*");
+
+      for (const target of targets) {
+        if (typeof target !== "string") continue;
+        const absoluteTarget = path.resolve(basePath, target);
+
+        if (starIndex === -1) {
+          patterns.push({
+            alias,
+            isWildcard: false,
+            targetPath: absoluteTarget,
+            order: patterns.length,
+          });
+          continue;
+        }
+
+        const targetStarIndex = absoluteTarget.indexOf("*");
+        if (targetStarIndex === -1) continue;
+
+        patterns.push({
+          alias,
+          isWildcard: true,
+          aliasPrefix: alias.slice(0, starIndex),
+          aliasSuffix: alias.slice(starIndex + 1),
+          targetPrefix: absoluteTarget.slice(0, targetStarIndex),
+          targetSuffix: absoluteTarget.slice(targetStarIndex + 1),
+          order: patterns.length,
+        });
+      }
+    }
+  }
+
+  return patterns;
+}
+
+function matchExact(pattern, resolvedPath) {
+  if (
+    resolvedPath === pattern.targetPath ||
+    stripModuleSuffix(resolvedPath) === stripModuleSuffix(pattern.targetPath)
+  ) {
+    return {
+      specifier: pattern.alias,
+      targetLength: pattern.targetPath.length,
+    };
+  }
+  return null;
+}
+
+function matchWildcard(pattern, resolvedPath) {
+  const { targetPrefix, targetSuffix } = pattern;
+
+  // "./src/*" must match whole segments: src/components-legacy is not
+  // under src/components
+  if (!resolvedPath.startsWith(targetPrefix)) return null;
+
+  let candidate = resolvedPath;
+  if (targetSuffix && !candidate.endsWith(targetSuffix)) {
+    // "../utils/x" matches "./src/utils/*.js" when the suffix only names
+    // the module file
+    if (!MODULE_SUFFIX_REGEX.test(targetSuffix) || path.extname(candidate)) {
+      return null;
+    }
+    candidate += targetSuffix;
+  }
+
+  const capture = candidate.slice(
+    targetPrefix.length,
+    candidate.length - targetSuffix.length
+  );
+  if (!capture) return null;
+
+  return {
+    specifier: `${pattern.aliasPrefix}${toPosix(capture)}${pattern.aliasSuffix}`,
+    targetLength: targetPrefix.length + targetSuffix.length,
+  };
+}
+
+function getPreferenceIndex(alias, preferredAliases) {
+  return preferredAliases.findIndex(
+    (preferred) =>
+      preferred === alias || preferred === alias.replace(/\/\*$/, "")
+  );
+}
+
+/**
+ * Find the best alias specifier for an absolute module path. Candidates
+ * are ranked by `preferredAliases` (in list order), then by the longest
+ * target, then by the shortest specifier, then by declaration order.
+ * Returns `{ specifier, alias }` or null.
+ */
+function findBestAlias(resolvedPath, patterns, preferredAliases = []) {
+  const candidates = [];
+
+  for (const pattern of patterns) {
+    const match = pattern.isWildcard
+      ? matchWildcard(pattern, resolvedPath)
+      : matchExact(pattern, resolvedPath);
+    if (match) {
+      const preferredIndex = getPreferenceIndex(
+        pattern.alias,
+        preferredAliases
+      );
+      candidates.push({
+        ...match,
+        alias: pattern.alias,
+        order: pattern.order,
+        preference:
+          preferredIndex === -1 ? preferredAliases.length : preferredIndex,
+      });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort(
+    (a, b) =>
+      a.preference - b.preference ||
+      b.targetLength - a.targetLength ||
+      a.specifier.length - b.specifier.length ||
+      a.order - b.order
+  );
+
+  const [best] = candidates;
+  return { specifier: best.specifier, alias: best.alias };
+}
+
+/**
+ * Map an alias specifier back to the module paths it can refer to, one per
+ * matching pattern target, in declaration order. In `modulePath`, extensions
+ * and "/index" that come from the pattern (not from the specifier) are left
+ * off, so it can be turned into an equivalent relative specifier; `filePath`
+ * keeps them for resolving the target on disk.
+ */
+function expandAliasSpecifier(specifier, patterns) {
+  const results = [];
+
+  for (const pattern of patterns) {
+    if (!pattern.isWildcard) {
+      if (specifier === pattern.alias) {
+        results.push({
+          alias: pattern.alias,
+          modulePath: pattern.targetPath.replace(MODULE_EXTENSION_REGEX, ""),
+          filePath: pattern.targetPath,
+        });
+      }
+      continue;
+    }
+
+    const { aliasPrefix, aliasSuffix, targetPrefix, targetSuffix } = pattern;
+    if (
+      specifier.length < aliasPrefix.length + aliasSuffix.length ||
+      !specifier.startsWith(aliasPrefix) ||
+      !specifier.endsWith(aliasSuffix)
+    ) {
+      continue;
+    }
+
+    const capture = specifier.slice(
+      aliasPrefix.length,
+      specifier.length - aliasSuffix.length
+    );
+    const suffix = MODULE_SUFFIX_REGEX.test(targetSuffix) ? "" : targetSuffix;
+    results.push({
+      alias: pattern.alias,
+      modulePath: path.join(targetPrefix, capture) + suffix,
+      filePath: path.join(targetPrefix, capture) + targetSuffix,
+    });
+  }
+
+  return results;
+}
+
+function getOutputExtension(filePath) {
+  const match = OUTPUT_EXTENSIONS.find(([regex]) => regex.test(filePath));
+  return match ? match[1] : path.extname(filePath);
+}
+
+/**
+ * Rewrite a specifier that resolves to `filePath` according to the
+ * `extensions` style ("always", "never" or "as-is") and `collapseIndex`.
+ * "always" adds the emitted extension (".js" for ".ts") and an explicit
+ * "/index" for directories; "never" drops script extensions; a trailing
+ * extensionless "/index" is collapsed unless extensions are "always".
+ */
+function formatSpecifier(specifier, filePath, { extensions, collapseIndex }) {
+  const lastSlash = specifier.lastIndexOf("/");
+  const head = specifier.slice(0, lastSlash + 1);
+  const last = specifier.slice(lastSlash + 1);
+  const stem = path.basename(filePath).replace(/(?:\.d)?\.[^.]+$/, "");
+  const isDirectory =
+    stem === "index" && last !== "index" && !last.startsWith("index.");
+  const hasExtension = !isDirectory && last !== stem;
+
+  if (extensions === "always") {
+    if (hasExtension) return specifier;
+    const base = isDirectory ? `${specifier}/index` : specifier;
+    return `${base}${getOutputExtension(filePath)}`;
+  }
+
+  let result = specifier;
+  if (
+    extensions === "never" &&
+    hasExtension &&
+    SCRIPT_EXTENSION_REGEX.test(last)
+  ) {
+    result = `${head}${stem}`;
+  }
+
+  // "./index" and "../index" stay as they are rather than becoming "."
+  const collapsed = result.replace(/\/index$/, "");
+  if (
+    collapseIndex &&
+    collapsed !== result &&
+    !/(^|\/)\.\.?$/.test(collapsed)
+  ) {
+    result = collapsed;
+  }
+
+  return result;
+}
+
+module.exports = {
+  createAliasPatterns,
+  formatSpecifier,
+  findBestAlias,
+  expandAliasSpecifier,
+  stripModuleSuffix,
+};
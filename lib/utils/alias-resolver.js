@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Alias and baseUrl discovery shared by `enforce-path-alias`.
+ * Finds the tsconfig that governs a file, then resolves `paths` from it (or
+ * from bundler configs), with results cached across linted files.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const {
+  loadTsconfig,
+  findNearestConfig,
+  getPathsBase,
+} = require("./tsconfig");
+const { expandGlobs } = require("./glob");
+const { findBundlerAliases } = require("./bundler-aliases");
+const { createCache } = require("./cache");
+
+const projectConfigCache = createCache("project config");
+const aliasConfigCache = createCache("alias config");
+
+function logLookup(log, cache, subject, result) {
+  if (!log) return;
+  const { hits, misses } = cache.stats;
+  log(
+    `${cache.name} cache ${result.hit ? "hit" : "miss"} for ${subject} ` +
+      `in ${result.duration.toFixed(2)}ms (hits: ${hits}, misses: ${misses})`
+  );
+}
+
+/**
+ * Pick the tsconfig that governs `filename`. With `project: "nearest"` this
+ * is the closest tsconfig/jsconfig above the file; with globs it is the
+ * deepest matching config whose directory contains the file; otherwise it is
+ * `configFile` under the cwd.
+ */
+function findProjectConfig({ cwd, filename, project, configFile }, log) {
+  if (project === "nearest") {
+    const startDir = path.dirname(filename);
+    const fileNames = Array.from(
+      new Set([path.basename(configFile), "tsconfig.json", "jsconfig.json"])
+    );
+    const result = projectConfigCache.get(
+      `nearest:${startDir}:${fileNames}`,
+      () => {
+        const visitedDirs = new Set();
+        const value = findNearestConfig(startDir, fileNames, visitedDirs);
+        return { value, dependencies: visitedDirs };
+      }
+    );
+    logLookup(log, projectConfigCache, startDir, result);
+    return result.value;
+  }
+
+  if (project) {
+    const patterns = Array.isArray(project) ? project : [project];
+    const result = projectConfigCache.get(
+      `glob:${cwd}:${JSON.stringify(patterns)}`,
+      () => {
+        const visitedDirs = new Set();
+        const value = expandGlobs(patterns, cwd, visitedDirs);
+        return { value, dependencies: [...value, ...visitedDirs] };
+      }
+    );
+    logLookup(log, projectConfigCache, patterns.join(", "), result);
+
+    let bestMatch = null;
+    for (const candidate of result.value) {
+      const relativePath = path.relative(path.dirname(candidate), filename);
+      if (
+        !relativePath.startsWith("..") &&
+        !path.isAbsolute(relativePath) &&
+        (!bestMatch || candidate.length > bestMatch.length)
+      ) {
+        bestMatch = candidate;
+      }
+    }
+    return bestMatch;
+  }
+
+  return path.join(cwd, configFile);
+}
+
+// Collect `paths` from a tsconfig and its project references. Each group
+// keeps the directory its targets are relative to.
+function getTsconfigPathGroups(tsconfig, errors, files) {
+  const groups = [];
+  const configs = [tsconfig];
+
+  for (const refPath of tsconfig.references) {
+    files.push(refPath);
+    if (fs.existsSync(refPath)) {
+      const reference = loadTsconfig(refPath, errors);
+      files.push(...reference.files);
+      configs.push(reference);
+    } else {
+      errors.push(`Referenced project ${refPath} does not exist`);
+    }
+  }
+
+  for (const config of configs) {
+    if (config.paths && Object.keys(config.paths).length > 0) {
+      groups.push({ paths: config.paths, basePath: getPathsBase(config) });
+    }
+  }
+
+  return groups;
+}
+
+// Effective moduleResolution, lowercased; `module: nodenext` implies it
+function getModuleResolution(tsconfig) {
+  if (!tsconfig) return null;
+  const { moduleResolution, module } = tsconfig.compilerOptions;
+  if (typeof moduleResolution === "string") {
+    return moduleResolution.toLowerCase();
+  }
+  if (typeof module === "string" && /^node(16|next)$/i.test(module)) {
+    return module.toLowerCase();
+  }
+  return null;
+}
+
+// Guess the source root from common directory names
+function detectSourceDir(options, dependencies) {
+  const { projectRoot, supportedExtensions, isTypeScript } = options;
+  const commonDirs = isTypeScript
+    ? ["src", "lib", "app", "."]
+    : ["src", "app", "lib", "."];
+
+  dependencies.push(projectRoot);
+  for (const dir of commonDirs) {
+    const dirPath = path.join(projectRoot, dir === "." ? "" : dir);
+    if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+      dependencies.push(dirPath);
+      // Check if there are JS/TS files in this directory
+      const files = fs.readdirSync(dirPath);
+      const hasSourceFiles = files.some(
+        (file) =>
+          supportedExtensions.some((ext) => file.endsWith(ext)) &&
+          !file.startsWith(".")
+      );
+      if (hasSourceFiles || dir === "src" || dir === "app") {
+        return dir === "." ? "./" : `./${dir}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function computeAliasConfig(options) {
+  const {
+    projectRoot,
+    tsconfigPath,
+    manualPaths,
+    userBaseUrl,
+    fallbackBaseUrl,
+  } = options;
+  const errors = [];
+  const warnings = [];
+  const dependencies = [];
+
+  // Load tsconfig with its whole "extends" chain
+  let tsconfig = null;
+  if (tsconfigPath) {
+    dependencies.push(tsconfigPath);
+    if (fs.existsSync(tsconfigPath)) {
+      tsconfig = loadTsconfig(tsconfigPath, errors);
+      dependencies.push(...tsconfig.files);
+    }
+  }
+
+  const baseUrl =
+    userBaseUrl ||
+    (tsconfig && tsconfig.baseUrl) ||
+    detectSourceDir(options, dependencies) ||
+    fallbackBaseUrl;
+
+  let groups = [];
+  if (manualPaths) {
+    groups = [
+      { paths: manualPaths, basePath: path.resolve(projectRoot, baseUrl) },
+    ];
+  } else {
+    if (tsconfig) {
+      groups = getTsconfigPathGroups(tsconfig, errors, dependencies);
+    }
+
+    // Fall back to Vite, webpack, Rollup, Babel and package.json imports
+    if (groups.length === 0) {
+      const bundlerAliases = findBundlerAliases(projectRoot);
+      errors.push(...bundlerAliases.errors);
+      warnings.push(...bundlerAliases.warnings);
+      dependencies.push(...bundlerAliases.files);
+      groups = bundlerAliases.groups;
+    }
+  }
+
+  return {
+    value: {
+      baseUrl,
+      groups,
+      moduleResolution: getModuleResolution(tsconfig),
+      errors,
+      warnings,
+    },
+    dependencies,
+  };
+}
+
+/**
+ * Resolve everything `enforce-path-alias` needs for one file: the governing
+ * tsconfig, the project root, the baseUrl, the `paths` groups and the
+ * tsconfig `moduleResolution` (lowercased, or null), plus `errors` and
+ * `warnings` collected while reading configs. Results are cached per config
+ * and invalidated when any file they came from changes.
+ * `log`, when given, receives a line per cache lookup.
+ */
+function resolveAliasConfig(options, log) {
+  const {
+    cwd,
+    filename,
+    project,
+    configFile,
+    manualPaths,
+    userBaseUrl,
+    fallbackBaseUrl,
+    supportedExtensions,
+    isTypeScript,
+  } = options;
+
+  const tsconfigPath = findProjectConfig(
+    { cwd, filename, project, configFile },
+    log
+  );
+
+  // Aliases, baseUrl and excludes are relative to the package that owns
+  // the tsconfig when `project` is set, and to the cwd otherwise
+  const projectRoot =
+    project && tsconfigPath ? path.dirname(tsconfigPath) : cwd;
+
+  const cacheOptions = {
+    projectRoot,
+    tsconfigPath,
+    manualPaths,
+    userBaseUrl,
+    fallbackBaseUrl,
+    supportedExtensions,
+    isTypeScript,
+  };
+  const result = aliasConfigCache.get(JSON.stringify(cacheOptions), () =>
+    computeAliasConfig(cacheOptions)
+  );
+  logLookup(log, aliasConfigCache, tsconfigPath || projectRoot, result);
+
+  return { ...result.value, projectRoot, tsconfigPath };
+}
+
+module.exports = {
+  resolveAliasConfig,
+  findProjectConfig,
+};
@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Extracts alias declarations from bundler and tooling configs
+ * (Vite, webpack, Rollup, babel-plugin-module-resolver and package.json
+ * `imports`) and converts them to tsconfig-style `paths` groups.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { parseJsonc } = require("./jsonc");
+const {
+  UNKNOWN,
+  ALIAS_PLUGIN,
+  UNKNOWN_SPREADS,
+  isKnown,
+  parseModuleSource,
+  createEvaluator,
+} = require("./static-eval");
+
+const SCRIPT_EXTENSIONS = [".js", ".ts", ".mjs", ".mts", ".cjs", ".cts"];
+
+const BABEL_RESOLVER_PLUGINS = new Set([
+  "module-resolver",
+  "babel-plugin-module-resolver",
+]);
+
+// Conditions tried, in order, for package.json `imports` targets
+const IMPORT_CONDITIONS = [
+  "types",
+  "import",
+  "module",
+  "default",
+  "require",
+  "node",
+];
+
+// First existing `baseName` + extension under `projectRoot`. Every path
+// tried is added to `probed`, so creating one of them later invalidates
+// cached results.
+function findConfigFile(
+  projectRoot,
+  baseName,
+  probed,
+  extensions = SCRIPT_EXTENSIONS
+) {
+  for (const extension of extensions) {
+    const candidate = path.join(projectRoot, `${baseName}${extension}`);
+    probed.push(candidate);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof RegExp)
+  );
+}
+
+// Evaluate the exported config of a JS/TS config file
+function loadScriptConfig(configPath) {
+  const code = fs.readFileSync(configPath, "utf8");
+  let ast;
+  try {
+    ast = parseModuleSource(code, configPath);
+  } catch (error) {
+    const parseError = new Error(
+      `Could not parse ${configPath}: ${error.message}`
+    );
+    parseError.configPath = configPath;
+    parseError.reason = error.message;
+    throw parseError;
+  }
+  const evaluator = createEvaluator(ast, configPath);
+  return evaluator.unwrapConfig(evaluator.evaluateExport());
+}
+
+/**
+ * Normalize `{ find: replacement }` objects and `[{ find, replacement }]`
+ * arrays into entries. Aliases whose key or target cannot be evaluated are
+ * returned in `skipped`.
+ */
+function normalizeAliasEntries(aliasValue) {
+  const entries = [];
+  const skipped = [];
+
+  if (Array.isArray(aliasValue)) {
+    aliasValue.forEach((item, index) => {
+      if (!isPlainObject(item)) {
+        skipped.push(`entry #${index + 1}`);
+        return;
+      }
+      const { find, replacement } = item;
+      if (typeof find !== "string") {
+        skipped.push(
+          find instanceof RegExp ? String(find) : `entry #${index + 1}`
+        );
+      } else if (typeof replacement !== "string") {
+        skipped.push(find);
+      } else {
+        entries.push({ find, replacement });
+      }
+    });
+  } else if (isPlainObject(aliasValue)) {
+    skipped.push(...(aliasValue[UNKNOWN_SPREADS] || []));
+    for (const [find, value] of Object.entries(aliasValue)) {
+      // webpack allows an array of fallbacks and `false` to ignore a module
+      const replacement = Array.isArray(value)
+        ? value.find((target) => typeof target === "string")
+        : value;
+
+      if (value === false) continue;
+      if (typeof replacement === "string") {
+        entries.push({ find, replacement });
+      } else {
+        skipped.push(find);
+      }
+    }
+  } else if (aliasValue !== undefined) {
+    skipped.push("alias");
+  }
+
+  return { entries, skipped };
+}
+
+// Convert prefix-style bundler aliases to tsconfig `paths`
+function entriesToPaths(entries, baseDir) {
+  const paths = {};
+
+  for (const { find, replacement } of entries) {
+    // Bare package names (e.g. `vue: "vue/dist/vue.esm.js"`) are not paths
+    if (
+      !replacement.startsWith(".") &&
+      !replacement.startsWith("/") &&
+      !path.isAbsolute(replacement)
+    ) {
+      continue;
+    }
+
+    let target = path.resolve(baseDir, replacement);
+
+    // Vite treats "/src" as relative to the project root
+    if (replacement.startsWith("/") && !fs.existsSync(target)) {
+      const rootRelativeTarget = path.join(baseDir, replacement);
+      if (fs.existsSync(rootRelativeTarget)) target = rootRelativeTarget;
+    }
+
+    // webpack: `key$` only matches the exact specifier
+    if (find.endsWith("$")) {
+      paths[find.slice(0, -1)] = [target];
+      continue;
+    }
+
+    const key = find.replace(/\/$/, "");
+    const isFileTarget =
+      path.extname(target) !== "" &&
+      fs.existsSync(target) &&
+      fs.statSync(target).isFile();
+
+    paths[key] = [target];
+    if (!isFileTarget) {
+      paths[`${key}/*`] = [`${target}/*`];
+    }
+  }
+
+  return paths;
+}
+
+function getAliasPluginEntries(plugins) {
+  if (!Array.isArray(plugins)) return [];
+  return plugins
+    .filter(
+      (plugin) => isPlainObject(plugin) && plugin[ALIAS_PLUGIN] !== undefined
+    )
+    .map((plugin) => {
+      const options = plugin[ALIAS_PLUGIN];
+      return isPlainObject(options) ? options.entries : UNKNOWN;
+    });
+}
+
+function collectFromConfigs(configs, getAliasValues) {
+  const entries = [];
+  const skipped = [];
+
+  for (const config of configs) {
+    if (!isPlainObject(config)) continue;
+    for (const aliasValue of getAliasValues(config)) {
+      const result = normalizeAliasEntries(aliasValue);
+      entries.push(...result.entries);
+      skipped.push(...result.skipped);
+    }
+  }
+
+  return { entries, skipped };
+}
+
+function toConfigList(config) {
+  return Array.isArray(config) ? config : [config];
+}
+
+const scriptSources = [
+  {
+    baseName: "vite.config",
+    getAliasValues: (config) => [
+      config.resolve && config.resolve.alias,
+      ...getAliasPluginEntries(config.plugins),
+    ],
+  },
+  {
+    baseName: "webpack.config",
+    getAliasValues: (config) => [config.resolve && config.resolve.alias],
+  },
+  {
+    baseName: "rollup.config",
+    getAliasValues: (config) => getAliasPluginEntries(config.plugins),
+  },
+];
+
+function readScriptSource(projectRoot, source, probed) {
+  const configPath = findConfigFile(projectRoot, source.baseName, probed);
+  if (!configPath) return null;
+
+  const config = loadScriptConfig(configPath);
+  if (!isKnown(config)) {
+    return { configPath, paths: {}, skipped: ["the exported config"] };
+  }
+
+  const { entries, skipped } = collectFromConfigs(
+    toConfigList(config),
+    (item) => source.getAliasValues(item).filter((value) => value !== undefined)
+  );
+  return { configPath, paths: entriesToPaths(entries, projectRoot), skipped };
+}
+
+function getBabelResolverOptions(babelConfig) {
+  const plugins = isPlainObject(babelConfig) ? babelConfig.plugins : null;
+  if (!Array.isArray(plugins)) return [];
+
+  return plugins
+    .filter(
+      (plugin) =>
+        Array.isArray(plugin) &&
+        BABEL_RESOLVER_PLUGINS.has(plugin[0]) &&
+        isPlainObject(plugin[1])
+    )
+    .map((plugin) => plugin[1]);
+}
+
+function readBabelSource(projectRoot, probed) {
+  let configPath = findConfigFile(projectRoot, "babel.config", probed, [
+    ".json",
+    ...SCRIPT_EXTENSIONS,
+  ]);
+  configPath =
+    configPath ||
+    findConfigFile(projectRoot, ".babelrc", probed, [
+      "",
+      ".json",
+      ...SCRIPT_EXTENSIONS,
+    ]);
+
+  let babelConfig;
+  if (configPath) {
+    babelConfig = /\.[cm]?[jt]s$/.test(configPath)
+      ? loadScriptConfig(configPath)
+      : parseJsonc(fs.readFileSync(configPath, "utf8"));
+  } else {
+    const packageJsonPath = path.join(projectRoot, "package.json");
+    if (!fs.existsSync(packageJsonPath)) return null;
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    if (!packageJson.babel) return null;
+    configPath = packageJsonPath;
+    babelConfig = packageJson.babel;
+  }
+
+  if (!isKnown(babelConfig)) {
+    return { configPath, paths: {}, skipped: ["the exported config"] };
+  }
+
+  const entries = [];
+  const skipped = [];
+  for (const resolverOptions of getBabelResolverOptions(babelConfig)) {
+    const result = normalizeAliasEntries(resolverOptions.alias);
+    for (const entry of result.entries) {
+      // Keys starting with "^" are regular expressions
+      if (entry.find.startsWith("^")) {
+        skipped.push(entry.find);
+      } else {
+        entries.push(entry);
+      }
+    }
+    skipped.push(...result.skipped);
+  }
+
+  return { configPath, paths: entriesToPaths(entries, projectRoot), skipped };
+}
+
+function pickImportTarget(value) {
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const target = pickImportTarget(item);
+      if (target) return target;
+    }
+    return null;
+  }
+  if (isPlainObject(value)) {
+    const conditions = [
+      ...IMPORT_CONDITIONS.filter((condition) => condition in value),
+      ...Object.keys(value).filter((key) => !IMPORT_CONDITIONS.includes(key)),
+    ];
+    for (const condition of conditions) {
+      const target = pickImportTarget(value[condition]);
+      if (target) return target;
+    }
+  }
+  return null;
+}
+
+// package.json `imports` already use the tsconfig `paths` shape (`#x/*`)
+function readPackageImportsSource(projectRoot) {
+  const configPath = path.join(projectRoot, "package.json");
+  if (!fs.existsSync(configPath)) return null;
+
+  const packageJson = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!isPlainObject(packageJson.imports)) return null;
+
+  const paths = {};
+  const skipped = [];
+  for (const [key, value] of Object.entries(packageJson.imports)) {
+    const target = pickImportTarget(value);
+    if (target && target.startsWith("./")) {
+      paths[key] = [path.resolve(projectRoot, target)];
+    } else if (target === null) {
+      skipped.push(key);
+    }
+  }
+
+  return { configPath, paths, skipped };
+}
+
+/**
+ * Find the first config under `projectRoot` that declares aliases, checking
+ * Vite, webpack, Rollup, Babel and then package.json `imports`.
+ *
+ * Returns `{ groups, warnings, errors, files }`: `groups` holds `{ paths,
+ * basePath, configPath }` entries, and `warnings` lists `{ configPath,
+ * aliases }` for aliases that could not be evaluated statically, or
+ * `{ configPath, reason }` for config files that could not be parsed at all.
+ * `files` lists the config files that were read or looked for.
+ */
+function findBundlerAliases(projectRoot) {
+  const warnings = [];
+  const errors = [];
+  const files = [path.join(projectRoot, "package.json")];
+  const readers = [
+    ...scriptSources.map(
+      (source) => () => readScriptSource(projectRoot, source, files)
+    ),
+    () => readBabelSource(projectRoot, files),
+    () => readPackageImportsSource(projectRoot),
+  ];
+
+  for (const read of readers) {
+    let result;
+    try {
+      result = read();
+    } catch (error) {
+      errors.push(error.message);
+      if (error.configPath) {
+        files.push(error.configPath);
+        warnings.push({ configPath: error.configPath, reason: error.reason });
+      }
+      continue;
+    }
+    if (!result) continue;
+    files.push(result.configPath);
+
+    if (result.skipped.length > 0) {
+      warnings.push({ configPath: result.configPath, aliases: result.skipped });
+    }
+
+    if (Object.keys(result.paths).length > 0) {
+      return {
+        groups: [
+          {
+            paths: result.paths,
+            basePath: projectRoot,
+            configPath: result.configPath,
+          },
+        ],
+        warnings,
+        errors,
+        files,
+      };
+    }
+  }
+
+  return { groups: [], warnings, errors, files };
+}
+
+module.exports = {
+  findBundlerAliases,
+  normalizeAliasEntries,
+  entriesToPaths,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Process-wide caches for config discovery. Entries remember
+ * the mtime of every file and directory they were computed from (missing
+ * paths included) and are recomputed once any of them changes, which keeps
+ * long-running processes such as editor language servers correct.
+ */
+
+const fs = require("fs");
+
+// How often an entry's dependencies are re-checked, in milliseconds
+const FRESHNESS_INTERVAL_MS = 1000;
+
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+function snapshot(dependencies) {
+  const mtimes = new Map();
+  for (const dependency of dependencies) {
+    mtimes.set(dependency, getMtime(dependency));
+  }
+  return mtimes;
+}
+
+function isFresh(entry, now) {
+  if (now - entry.checkedAt < FRESHNESS_INTERVAL_MS) {
+    return true;
+  }
+
+  for (const [dependency, mtime] of entry.mtimes) {
+    if (getMtime(dependency) !== mtime) {
+      return false;
+    }
+  }
+
+  entry.checkedAt = now;
+  return true;
+}
+
+/**
+ * Create a named cache. `get(key, compute)` returns `{ value, hit, duration }`
+ * where `compute()` must return `{ value, dependencies }` and `duration` is
+ * the lookup time in milliseconds.
+ */
+function createCache(name) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  function get(key, compute) {
+    const start = process.hrtime.bigint();
+    const now = Date.now();
+    const entry = entries.get(key);
+
+    let hit = false;
+    if (entry && isFresh(entry, now)) {
+      hit = true;
+      stats.hits++;
+    } else {
+      stats.misses++;
+      const result = compute();
+      entries.set(key, {
+        value: result.value,
+        mtimes: snapshot(result.dependencies),
+        checkedAt: now,
+      });
+    }
+
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+    return { value: entries.get(key).value, hit, duration };
+  }
+
+  function clear() {
+    entries.clear();
+    stats.hits = 0;
+    stats.misses = 0;
+  }
+
+  return { name, get, clear, stats };
+}
+
+module.exports = {
+  createCache,
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Compatibility helpers for the rule context API.
+ * ESLint 9 deprecated the `context.getX()` methods in favour of properties
+ * and `sourceCode` methods, and ESLint 10 removes them. These helpers prefer
+ * the new API and fall back to the old one so rules run on ESLint 7 to 10.
+ */
+
+function getFilename(context) {
+  if (typeof context.filename === "string") {
+    return context.filename;
+  }
+  return context.getFilename();
+}
+
+function getPhysicalFilename(context) {
+  if (typeof context.physicalFilename === "string") {
+    return context.physicalFilename;
+  }
+  if (typeof context.getPhysicalFilename === "function") {
+    return context.getPhysicalFilename();
+  }
+  return getFilename(context);
+}
+
+function getCwd(context) {
+  if (typeof context.cwd === "string") {
+    return context.cwd;
+  }
+  if (typeof context.getCwd === "function") {
+    return context.getCwd();
+  }
+  return process.cwd();
+}
+
+function getSourceCode(context) {
+  return context.sourceCode || context.getSourceCode();
+}
+
+// `context.getScope()` only knows the node being traversed, so older
+// versions look the scope up through the scope manager instead
+function getScope(context, node) {
+  const sourceCode = getSourceCode(context);
+  if (typeof sourceCode.getScope === "function") {
+    return sourceCode.getScope(node);
+  }
+
+  const { scopeManager } = sourceCode;
+  if (!scopeManager) {
+    return context.getScope();
+  }
+  for (let current = node; current; current = current.parent) {
+    const scope = scopeManager.acquire(current, true);
+    if (scope) {
+      return scope.type === "function-expression-name"
+        ? scope.childScopes[0]
+        : scope;
+    }
+  }
+  return scopeManager.globalScope;
+}
+
+function getDeclaredVariables(context, node) {
+  const sourceCode = getSourceCode(context);
+  if (typeof sourceCode.getDeclaredVariables === "function") {
+    return sourceCode.getDeclaredVariables(node);
+  }
+  return context.getDeclaredVariables(node);
+}
+
+module.exports = {
+  getFilename,
+  getPhysicalFilename,
+  getCwd,
+  getSourceCode,
+  getScope,
+  getDeclaredVariables,
+};
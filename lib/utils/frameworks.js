@@ -0,0 +1,159 @@
+/**
+ * @fileoverview The frameworks the plugin knows about, and their detection
+ * for the `auto` config: reads the nearest package.json and the package.json
+ * of each of its workspaces, and reports which frameworks their dependencies
+ * pull in.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { findNearestConfig } = require("./tsconfig");
+const { expandGlobs, matchesGlob } = require("./glob");
+
+// Packages that identify each framework, by the name the presets and the
+// `framework` setting use
+const FRAMEWORK_PACKAGES = {
+  react: ["react"],
+  nextjs: ["next"],
+  vue: ["vue"],
+  nuxt: ["nuxt", "nuxt3"],
+  angular: ["@angular/core"],
+  nestjs: ["@nestjs/core"],
+  svelte: ["svelte", "@sveltejs/kit"],
+  solid: ["solid-js"],
+};
+
+const FRAMEWORKS = Object.keys(FRAMEWORK_PACKAGES);
+
+// Frameworks whose components are functions in .jsx/.tsx files, the ones
+// `no-arrow-components` applies to
+const JSX_FRAMEWORKS = new Set(["react", "nextjs", "solid"]);
+
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+];
+
+// `{ packageJson, error }` for a package.json path
+function readPackageJson(packageJsonPath) {
+  try {
+    return {
+      packageJson: JSON.parse(fs.readFileSync(packageJsonPath, "utf8")),
+      error: null,
+    };
+  } catch (error) {
+    return { packageJson: null, error: error.message };
+  }
+}
+
+// Frameworks among the dependencies of a parsed package.json
+function getFrameworks(packageJson) {
+  const dependencies = new Set();
+  for (const field of DEPENDENCY_FIELDS) {
+    Object.keys(packageJson[field] || {}).forEach((name) =>
+      dependencies.add(name)
+    );
+  }
+
+  return FRAMEWORKS.filter((framework) =>
+    FRAMEWORK_PACKAGES[framework].some((name) => dependencies.has(name))
+  );
+}
+
+// Workspace globs of npm/yarn (`workspaces`) and pnpm (pnpm-workspace.yaml,
+// whose `packages` list is read without a YAML parser)
+function getWorkspacePatterns(packageJson, rootDir) {
+  const { workspaces } = packageJson;
+  const patterns = [
+    ...(Array.isArray(workspaces)
+      ? workspaces
+      : (workspaces && workspaces.packages) || []),
+  ];
+
+  const pnpmWorkspacePath = path.join(rootDir, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    const match = /^packages:[ \t]*\r?\n((?:[ \t]+-.*(?:\r?\n|$))+)/m.exec(
+      fs.readFileSync(pnpmWorkspacePath, "utf8")
+    );
+    if (match) {
+      for (const line of match[1].split(/\r?\n/)) {
+        const item = line.replace(/^\s*-\s*/, "").replace(/\s+#.*$/, "");
+        if (item) patterns.push(item.replace(/^(["'])(.*)\1$/, "$2"));
+      }
+    }
+  }
+  return patterns.filter((pattern) => typeof pattern === "string");
+}
+
+// Directories of the workspaces matched by the globs, `!` globs excluded
+function findWorkspaceDirs(patterns, rootDir) {
+  const include = patterns.filter((pattern) => !pattern.startsWith("!"));
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => pattern.slice(1).replace(/\/+$/, ""));
+
+  return expandGlobs(
+    include.map((pattern) => `${pattern.replace(/\/+$/, "")}/package.json`),
+    rootDir
+  )
+    .map((packageJsonPath) => path.dirname(packageJsonPath))
+    .filter((dir) => {
+      const relativeDir = path.relative(rootDir, dir);
+      return (
+        relativeDir !== "" &&
+        !exclude.some((pattern) => matchesGlob(relativeDir, pattern))
+      );
+    });
+}
+
+/**
+ * Detect the frameworks of the project containing `cwd`. Returns the
+ * package.json path (or null when there is none), the detected framework
+ * names in the order of `FRAMEWORK_PACKAGES`, and the same for every
+ * workspace it declares, with their directories, so a monorepo whose apps
+ * use different frameworks is detected from its root. A package.json that
+ * cannot be parsed is reported in `error` and detects nothing.
+ */
+function detectFrameworks(cwd) {
+  const packageJsonPath = findNearestConfig(cwd, ["package.json"]);
+  if (!packageJsonPath) {
+    return { packageJsonPath, frameworks: [], error: null, workspaces: [] };
+  }
+
+  const { packageJson, error } = readPackageJson(packageJsonPath);
+  if (!packageJson) {
+    return { packageJsonPath, frameworks: [], error, workspaces: [] };
+  }
+
+  const rootDir = path.dirname(packageJsonPath);
+  const workspaces = findWorkspaceDirs(
+    getWorkspacePatterns(packageJson, rootDir),
+    rootDir
+  ).map((dir) => {
+    const workspacePackageJsonPath = path.join(dir, "package.json");
+    const workspace = readPackageJson(workspacePackageJsonPath);
+    return {
+      dir,
+      packageJsonPath: workspacePackageJsonPath,
+      frameworks: workspace.packageJson
+        ? getFrameworks(workspace.packageJson)
+        : [],
+      error: workspace.error,
+    };
+  });
+
+  return {
+    packageJsonPath,
+    frameworks: getFrameworks(packageJson),
+    error: null,
+    workspaces,
+  };
+}
+
+module.exports = {
+  FRAMEWORK_PACKAGES,
+  FRAMEWORKS,
+  JSX_FRAMEWORKS,
+  detectFrameworks,
+};
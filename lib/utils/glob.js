@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Small glob helpers for config file discovery. Supports `*`,
+ * `**`, `?` and `{a,b}`, which covers the patterns users write for
+ * `parserOptions.project`.
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const IGNORED_DIRECTORIES = new Set(["node_modules", ".git"]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+// Convert a single glob (forward slashes) to an anchored regular expression
+function globToRegExp(glob) {
+  let source = "";
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 3;
+      } else {
+        source += ".*";
+        i += 2;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+      i++;
+    } else if (char === "?") {
+      source += "[^/]";
+      i++;
+    } else if (char === "{") {
+      const end = glob.indexOf("}", i);
+      if (end === -1) {
+        source += escapeRegExp(char);
+        i++;
+      } else {
+        const alternatives = glob
+          .slice(i + 1, end)
+          .split(",")
+          .map((alternative) => globToRegExp(alternative).source.slice(1, -1));
+        source += `(?:${alternatives.join("|")})`;
+        i = end + 1;
+      }
+    } else {
+      source += escapeRegExp(char);
+      i++;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function isGlobSegment(segment) {
+  return /[*?{]/.test(segment);
+}
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+function matchesGlob(filePath, glob) {
+  return globToRegExp(toPosix(glob)).test(toPosix(filePath));
+}
+
+function readDirectories(dir, visitedDirs) {
+  visitedDirs.add(dir);
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter(
+        (entry) => entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name)
+      )
+      .map((entry) => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+function readEntries(dir, visitedDirs) {
+  visitedDirs.add(dir);
+  try {
+    return fs.readdirSync(dir);
+  } catch (error) {
+    return [];
+  }
+}
+
+function expandSegments(dir, segments, results, visitedDirs) {
+  if (segments.length === 0) {
+    // Creating the file later changes its directory's mtime
+    visitedDirs.add(path.dirname(dir));
+    if (fs.existsSync(dir)) results.add(dir);
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (segment === "**") {
+    expandSegments(dir, rest, results, visitedDirs);
+    for (const child of readDirectories(dir, visitedDirs)) {
+      expandSegments(path.join(dir, child), segments, results, visitedDirs);
+    }
+    return;
+  }
+
+  if (!isGlobSegment(segment)) {
+    expandSegments(path.join(dir, segment), rest, results, visitedDirs);
+    return;
+  }
+
+  const segmentRegex = globToRegExp(segment);
+  const candidates =
+    rest.length > 0
+      ? readDirectories(dir, visitedDirs)
+      : readEntries(dir, visitedDirs);
+  for (const entry of candidates) {
+    if (segmentRegex.test(entry)) {
+      expandSegments(path.join(dir, entry), rest, results, visitedDirs);
+    }
+  }
+}
+
+/**
+ * Expand glob patterns relative to `cwd` into a sorted list of absolute
+ * paths that exist on disk. `node_modules` and `.git` are never traversed.
+ * Directories that were listed are added to `visitedDirs` when given.
+ */
+function expandGlobs(patterns, cwd, visitedDirs = new Set()) {
+  const results = new Set();
+
+  for (const pattern of patterns) {
+    const absolutePattern = toPosix(path.resolve(cwd, pattern));
+    const [root, ...segments] = absolutePattern.split("/");
+    const rootDir = root === "" ? "/" : `${root}/`;
+    expandSegments(rootDir, segments.filter(Boolean), results, visitedDirs);
+  }
+
+  return Array.from(results).sort();
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  expandGlobs,
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Minimal JSON-with-comments parser, as used by tsconfig.json,
+ * jsconfig.json and .babelrc. Strips line and block comments and trailing
+ * commas, then hands the result to JSON.parse.
+ */
+
+// Index of the first character after any whitespace and comments at `index`.
+function skipTrivia(text, index) {
+  let i = index;
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "/" && next === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (char === "/" && next === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+function stripJsonc(text) {
+  let result = "";
+  let inString = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += text[i + 1] || "";
+        i += 2;
+        continue;
+      }
+      if (char === '"') inString = false;
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      result += char;
+      i++;
+      continue;
+    }
+
+    if (char === "/" && (text[i + 1] === "/" || text[i + 1] === "*")) {
+      const end = skipTrivia(text, i);
+      // Keep line breaks so JSON.parse error positions stay meaningful
+      result += text.slice(i, end).replace(/[^\n]/g, "");
+      i = end;
+      continue;
+    }
+
+    if (char === ",") {
+      const nextIndex = skipTrivia(text, i + 1);
+      if (text[nextIndex] === "}" || text[nextIndex] === "]") {
+        i++;
+        continue;
+      }
+    }
+
+    result += char;
+    i++;
+  }
+
+  return result;
+}
+
+function parseJsonc(text) {
+  return JSON.parse(stripJsonc(text.replace(/^\uFEFF/, "")));
+}
+
+module.exports = {
+  parseJsonc,
+  stripJsonc,
+};
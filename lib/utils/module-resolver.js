@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Resolves module paths to files on disk the way bundlers and
+ * TypeScript do for local imports: the exact file, the path plus one of the
+ * supported extensions, then `index.*` inside a directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { expandAliasSpecifier } = require("./alias-matcher");
+
+// TypeScript lets "./x.js" refer to "./x.ts" (NodeNext/ESM style imports)
+const TS_EXTENSION_MAP = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Extensions to try, with ".d.ts" whenever ".ts" is supported
+function getResolvableExtensions(supportedExtensions) {
+  return supportedExtensions.includes(".ts") &&
+    !supportedExtensions.includes(".d.ts")
+    ? [...supportedExtensions, ".d.ts"]
+    : supportedExtensions;
+}
+
+function resolveWithExtensions(basePath, extensions) {
+  for (const extension of extensions) {
+    if (isFile(`${basePath}${extension}`)) {
+      return `${basePath}${extension}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve an absolute module path (as written in an import, without
+ * extension or with one) to an existing file, or null.
+ */
+function resolveModulePath(modulePath, supportedExtensions) {
+  const extensions = getResolvableExtensions(supportedExtensions);
+
+  if (isFile(modulePath)) {
+    return modulePath;
+  }
+
+  const extension = path.extname(modulePath);
+  if (TS_EXTENSION_MAP[extension]) {
+    const withoutExtension = modulePath.slice(0, -extension.length);
+    const tsFile = resolveWithExtensions(
+      withoutExtension,
+      TS_EXTENSION_MAP[extension]
+    );
+    if (tsFile) return tsFile;
+  }
+
+  return (
+    resolveWithExtensions(modulePath, extensions) ||
+    resolveWithExtensions(path.join(modulePath, "index"), extensions)
+  );
+}
+
+// Exact aliases beat wildcards; among wildcards the longest prefix wins
+function getAliasSpecificity(alias) {
+  const starIndex = alias.indexOf("*");
+  return starIndex === -1 ? Infinity : starIndex;
+}
+
+/**
+ * Resolve an alias specifier to a file the way TypeScript does: only the
+ * most specific matching alias is used, and its targets are tried in order.
+ * Returns `{ matched, filePath }`; `matched` is false when no alias applies
+ * to the specifier, and `filePath` is null when no target exists.
+ */
+function resolveAliasSpecifier(specifier, patterns, supportedExtensions) {
+  const targets = expandAliasSpecifier(specifier, patterns);
+  if (targets.length === 0) {
+    return { matched: false, filePath: null };
+  }
+
+  const specificity = Math.max(
+    ...targets.map((target) => getAliasSpecificity(target.alias))
+  );
+  for (const target of targets) {
+    if (getAliasSpecificity(target.alias) !== specificity) continue;
+    const filePath = resolveModulePath(target.filePath, supportedExtensions);
+    if (filePath) {
+      return { matched: true, filePath };
+    }
+  }
+
+  return { matched: true, filePath: null };
+}
+
+module.exports = {
+  resolveModulePath,
+  resolveAliasSpecifier,
+};
@@ -0,0 +1,615 @@
+/**
+ * @fileoverview Finds which names a package really exports by name, and
+ * whether a module of it exists at all. The
+ * package is located in node_modules from the linted file, its `exports`
+ * map, ESM/CommonJS entry and `.d.ts` are read, and the result is cached per
+ * package version.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+const { parseModuleSource } = require("./static-eval");
+const { resolveModulePath } = require("./module-resolver");
+const { createCache } = require("./cache");
+
+const packageLocationCache = createCache("package location");
+const exportsByVersion = new Map();
+const existenceByVersion = new Map();
+
+const SCRIPT_EXTENSIONS = [".js", ".mjs", ".cjs", ".json"];
+const DECLARATION_EXTENSIONS = [".d.ts", ".d.mts", ".d.cts"];
+
+// Conditions Node and bundlers use, per kind of entry
+const ESM_CONDITIONS = new Set(["import", "module", "node", "default"]);
+const CJS_CONDITIONS = new Set(["require", "node", "default"]);
+const TYPES_CONDITIONS = new Set([
+  "types",
+  "typings",
+  "import",
+  "require",
+  "node",
+  "default",
+]);
+
+// Files re-exported through more levels than this are not followed
+const MAX_REEXPORT_DEPTH = 20;
+
+// Bundles larger than this (e.g. typescript.js) are too slow to parse
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+// Marks an analysis that could not be completed
+class IncompleteExports extends Error {}
+
+// "lodash/fp" -> { name: "lodash", subpath: "./fp" }
+function splitSpecifier(specifier) {
+  const segments = specifier.split("/");
+  const nameLength = specifier.startsWith("@") ? 2 : 1;
+  const rest = segments.slice(nameLength).join("/");
+  return {
+    name: segments.slice(0, nameLength).join("/"),
+    subpath: rest ? `./${rest}` : ".",
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Nearest node_modules/<name> above `startDir`, with its version
+function locatePackage(name, startDir) {
+  const result = packageLocationCache.get(`${startDir}\0${name}`, () => {
+    const dependencies = [];
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+      const packageJsonPath = path.join(
+        dir,
+        "node_modules",
+        name,
+        "package.json"
+      );
+      dependencies.push(packageJsonPath);
+      const packageJson = fs.existsSync(packageJsonPath)
+        ? readJson(packageJsonPath)
+        : null;
+      if (packageJson) {
+        return {
+          value: {
+            packageDir: path.dirname(packageJsonPath),
+            packageJson,
+          },
+          dependencies,
+        };
+      }
+      if (path.dirname(dir) === dir) {
+        return { value: null, dependencies };
+      }
+    }
+  });
+  return result.value;
+}
+
+// Pick a target from an `exports` value for the given conditions
+function resolveConditions(target, conditions) {
+  if (typeof target === "string") return target;
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const resolved = resolveConditions(item, conditions);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === "object") {
+    for (const [condition, value] of Object.entries(target)) {
+      if (conditions.has(condition)) {
+        const resolved = resolveConditions(value, conditions);
+        if (resolved) return resolved;
+      }
+    }
+  }
+  return null;
+}
+
+// Look a subpath up in an `exports` map, including "./*" patterns
+function resolveExportsSubpath(exportsField, subpath, conditions) {
+  const isSubpathMap =
+    exportsField &&
+    typeof exportsField === "object" &&
+    !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((key) => key.startsWith("."));
+  const subpaths = isSubpathMap ? exportsField : { ".": exportsField };
+
+  if (subpath in subpaths) {
+    return resolveConditions(subpaths[subpath], conditions);
+  }
+
+  for (const [key, value] of Object.entries(subpaths)) {
+    const starIndex = key.indexOf("*");
+    if (starIndex === -1) continue;
+    const prefix = key.slice(0, starIndex);
+    const suffix = key.slice(starIndex + 1);
+    if (
+      subpath.startsWith(prefix) &&
+      subpath.endsWith(suffix) &&
+      subpath.length >= key.length - 1
+    ) {
+      const match = subpath.slice(
+        prefix.length,
+        subpath.length - suffix.length
+      );
+      const resolved = resolveConditions(value, conditions);
+      return resolved ? resolved.split("*").join(match) : null;
+    }
+  }
+  return null;
+}
+
+function resolveFile(baseDir, target, extensions) {
+  return target
+    ? resolveModulePath(path.resolve(baseDir, target), extensions)
+    : null;
+}
+
+// "./lib/index.js" -> "./lib/index.d.ts"
+function findSiblingDeclaration(filePath) {
+  if (!filePath) return null;
+  const base = filePath.replace(/\.[cm]?[jt]sx?$/, "");
+  const extensions = filePath.endsWith(".mjs")
+    ? [".d.mts", ".d.ts"]
+    : filePath.endsWith(".cjs")
+    ? [".d.cts", ".d.ts"]
+    : DECLARATION_EXTENSIONS;
+  return (
+    extensions
+      .map((ext) => `${base}${ext}`)
+      .find((file) => fs.existsSync(file)) || null
+  );
+}
+
+function findTypesPackageEntry(name, startDir, subpath) {
+  const typesName = name.startsWith("@")
+    ? `@types/${name.slice(1).replace("/", "__")}`
+    : `@types/${name}`;
+  const located = locatePackage(typesName, startDir);
+  if (!located) return null;
+
+  const { packageDir, packageJson } = located;
+  const target =
+    subpath === "."
+      ? packageJson.types || packageJson.typings || "index.d.ts"
+      : subpath;
+  return resolveFile(packageDir, target, DECLARATION_EXTENSIONS);
+}
+
+// Runtime entry (ESM preferred) and declaration entry of a package subpath
+function getEntryPoints({ packageDir, packageJson }, subpath) {
+  if (packageJson.exports !== undefined) {
+    const esmTarget = resolveExportsSubpath(
+      packageJson.exports,
+      subpath,
+      ESM_CONDITIONS
+    );
+    const runtime =
+      resolveFile(packageDir, esmTarget, SCRIPT_EXTENSIONS) ||
+      resolveFile(
+        packageDir,
+        resolveExportsSubpath(packageJson.exports, subpath, CJS_CONDITIONS),
+        SCRIPT_EXTENSIONS
+      );
+    const typesTarget = resolveExportsSubpath(
+      packageJson.exports,
+      subpath,
+      TYPES_CONDITIONS
+    );
+    const typesFile = resolveFile(
+      packageDir,
+      typesTarget,
+      DECLARATION_EXTENSIONS
+    );
+    return {
+      runtime,
+      types:
+        typesFile && /\.d\.[cm]?ts$/.test(typesFile)
+          ? typesFile
+          : findSiblingDeclaration(typesFile || runtime),
+    };
+  }
+
+  if (subpath !== ".") {
+    const runtime = resolveFile(packageDir, subpath, SCRIPT_EXTENSIONS);
+    return { runtime, types: findSiblingDeclaration(runtime) };
+  }
+
+  const runtime =
+    resolveFile(packageDir, packageJson.module, SCRIPT_EXTENSIONS) ||
+    resolveFile(packageDir, packageJson.main || "index", SCRIPT_EXTENSIONS);
+  const types =
+    resolveFile(
+      packageDir,
+      packageJson.types || packageJson.typings,
+      DECLARATION_EXTENSIONS
+    ) || findSiblingDeclaration(runtime);
+  return { runtime, types };
+}
+
+function parseFile(filePath) {
+  if (fs.statSync(filePath).size > MAX_FILE_SIZE) {
+    throw new IncompleteExports(`${filePath} is too large to analyze`);
+  }
+  try {
+    return parseModuleSource(fs.readFileSync(filePath, "utf8"), filePath);
+  } catch (error) {
+    throw new IncompleteExports(`Could not parse ${filePath}`);
+  }
+}
+
+// Depth-first walk over every node of an AST
+function walk(node, visit) {
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (key === "parent") continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => {
+        if (item && typeof item.type === "string") walk(item, visit);
+      });
+    } else if (child && typeof child.type === "string") {
+      walk(child, visit);
+    }
+  }
+}
+
+function getStringValue(node) {
+  if (!node) return null;
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function getPropertyName(node) {
+  if (!node.computed && node.property.type === "Identifier") {
+    return node.property.name;
+  }
+  return getStringValue(node.property);
+}
+
+function getExportedName(node) {
+  return node.type === "Identifier" ? node.name : getStringValue(node);
+}
+
+// `exports` or `module.exports`
+function isExportsObject(node) {
+  return (
+    (node.type === "Identifier" && node.name === "exports") ||
+    (node.type === "MemberExpression" &&
+      node.object.type === "Identifier" &&
+      node.object.name === "module" &&
+      getPropertyName(node) === "exports")
+  );
+}
+
+function isRequireCall(node) {
+  return (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    getStringValue(node.arguments[0]) !== null
+  );
+}
+
+function getDeclarationNames(declaration) {
+  if (declaration.type === "VariableDeclaration") {
+    return declaration.declarations
+      .filter((declarator) => declarator.id.type === "Identifier")
+      .map((declarator) => declarator.id.name);
+  }
+  return declaration.id && declaration.id.type === "Identifier"
+    ? [declaration.id.name]
+    : [];
+}
+
+const TYPE_ONLY_DECLARATIONS = new Set([
+  "TSInterfaceDeclaration",
+  "TSTypeAliasDeclaration",
+]);
+
+function createCollector() {
+  const values = new Set();
+  const types = new Set();
+  const visited = new Set();
+
+  function add(name, isTypeOnly) {
+    if (!name || name === "default" || name === "__esModule") return;
+    types.add(name);
+    if (!isTypeOnly) values.add(name);
+  }
+
+  // Follow `export * from` / `require()` to a relative file or a package
+  function follow(specifier, fromFile, depth, extensions) {
+    if (specifier.startsWith(".")) {
+      const filePath = resolveModulePath(
+        path.resolve(path.dirname(fromFile), specifier),
+        extensions
+      );
+      if (!filePath) {
+        throw new IncompleteExports(`Cannot resolve ${specifier}`);
+      }
+      collectFile(filePath, depth + 1);
+      return;
+    }
+
+    const result = getPackageExports(specifier, path.dirname(fromFile));
+    const names =
+      result &&
+      (extensions === DECLARATION_EXTENSIONS ? result.types : result.values);
+    if (!names) {
+      throw new IncompleteExports(`Cannot read exports of ${specifier}`);
+    }
+    names.forEach((name) => add(name, false));
+  }
+
+  function collectEsm(ast, filePath, depth, extensions) {
+    for (const node of ast.body) {
+      if (node.type === "ExportNamedDeclaration") {
+        const isTypeOnly = node.exportKind === "type";
+        if (node.declaration) {
+          getDeclarationNames(node.declaration).forEach((name) =>
+            add(
+              name,
+              isTypeOnly || TYPE_ONLY_DECLARATIONS.has(node.declaration.type)
+            )
+          );
+        }
+        for (const specifier of node.specifiers) {
+          add(
+            getExportedName(specifier.exported),
+            isTypeOnly || specifier.exportKind === "type"
+          );
+        }
+      } else if (node.type === "ExportAllDeclaration") {
+        if (node.exported) {
+          add(getExportedName(node.exported), node.exportKind === "type");
+        } else {
+          follow(node.source.value, filePath, depth, extensions);
+        }
+      } else if (node.type === "TSExportAssignment") {
+        // `export =` declarations describe a CommonJS object, not names
+        throw new IncompleteExports(`${filePath} uses export =`);
+      }
+    }
+  }
+
+  function collectCommonJs(ast, filePath, depth) {
+    const requiredModules = new Map(); // local name -> specifier
+
+    walk(ast, (node) => {
+      if (
+        node.type === "VariableDeclarator" &&
+        node.id.type === "Identifier" &&
+        isRequireCall(node.init)
+      ) {
+        requiredModules.set(
+          node.id.name,
+          getStringValue(node.init.arguments[0])
+        );
+      }
+
+      if (
+        node.type === "AssignmentExpression" &&
+        node.left.type === "MemberExpression"
+      ) {
+        // exports.a = ..., module.exports.a = ...
+        if (isExportsObject(node.left.object)) {
+          add(getPropertyName(node.left), false);
+        }
+
+        // module.exports = { a, b } / module.exports = require("./x")
+        if (isExportsObject(node.left)) {
+          if (node.right.type === "ObjectExpression") {
+            for (const property of node.right.properties) {
+              if (property.type === "Property" && !property.computed) {
+                add(getExportedName(property.key), false);
+              }
+            }
+          } else if (isRequireCall(node.right)) {
+            follow(
+              getStringValue(node.right.arguments[0]),
+              filePath,
+              depth,
+              SCRIPT_EXTENSIONS
+            );
+          }
+        }
+      }
+
+      if (node.type === "CallExpression") {
+        const { callee } = node;
+        const [first, second] = node.arguments;
+
+        // Object.defineProperty(exports, "a", ...)
+        if (
+          callee.type === "MemberExpression" &&
+          getPropertyName(callee) === "defineProperty" &&
+          first &&
+          isExportsObject(first)
+        ) {
+          add(getStringValue(second), false);
+        }
+
+        // __exportStar(require("./x"), exports) from tsc and tslib
+        const calleeName =
+          callee.type === "Identifier"
+            ? callee.name
+            : callee.type === "MemberExpression"
+            ? getPropertyName(callee)
+            : null;
+        if (
+          (calleeName === "__exportStar" || calleeName === "__export") &&
+          isRequireCall(first)
+        ) {
+          follow(
+            getStringValue(first.arguments[0]),
+            filePath,
+            depth,
+            SCRIPT_EXTENSIONS
+          );
+        }
+
+        // Object.keys(_x).forEach(...) re-exports from Babel
+        if (
+          callee.type === "MemberExpression" &&
+          getPropertyName(callee) === "forEach" &&
+          callee.object.type === "CallExpression" &&
+          callee.object.callee.type === "MemberExpression" &&
+          getPropertyName(callee.object.callee) === "keys" &&
+          callee.object.arguments[0] &&
+          callee.object.arguments[0].type === "Identifier" &&
+          requiredModules.has(callee.object.arguments[0].name)
+        ) {
+          follow(
+            requiredModules.get(callee.object.arguments[0].name),
+            filePath,
+            depth,
+            SCRIPT_EXTENSIONS
+          );
+        }
+      }
+    });
+  }
+
+  function collectFile(filePath, depth = 0) {
+    if (visited.has(filePath)) return;
+    visited.add(filePath);
+    if (depth > MAX_REEXPORT_DEPTH) {
+      throw new IncompleteExports(
+        `Re-exports nested too deeply in ${filePath}`
+      );
+    }
+    if (filePath.endsWith(".json")) {
+      throw new IncompleteExports(`${filePath} is JSON`);
+    }
+
+    const ast = parseFile(filePath);
+    const isDeclaration = /\.d\.[cm]?ts$/.test(filePath);
+    const isEsm = ast.body.some((node) =>
+      /^(Import|Export\w+)Declaration$|^TSExportAssignment$/.test(node.type)
+    );
+
+    if (isDeclaration || isEsm) {
+      collectEsm(
+        ast,
+        filePath,
+        depth,
+        isDeclaration ? DECLARATION_EXTENSIONS : SCRIPT_EXTENSIONS
+      );
+    } else {
+      collectCommonJs(ast, filePath, depth);
+    }
+  }
+
+  return { values, types, collectFile };
+}
+
+function collectNames(filePath) {
+  if (!filePath) return null;
+  const collector = createCollector();
+  try {
+    collector.collectFile(filePath);
+  } catch (error) {
+    if (error instanceof IncompleteExports) return null;
+    throw error;
+  }
+  return collector;
+}
+
+function getBuiltinExports(specifier) {
+  const name = specifier.startsWith("node:") ? specifier.slice(5) : specifier;
+  if (!builtinModules.includes(name)) return null;
+
+  const values = new Set(
+    Object.keys(require(name)).filter((key) => key !== "default")
+  );
+  return { values, types: null };
+}
+
+/**
+ * Named exports of a bare module specifier (`"lodash"`, `"lodash/fp"`,
+ * `"node:fs"`) as seen from `fromDir`. Returns `{ values, types }`, where
+ * `values` holds the names that exist at runtime and `types` every name the
+ * type declarations export (values included); either is null when it could
+ * not be determined. Returns null for relative specifiers and packages that
+ * are not installed.
+ */
+function getPackageExports(specifier, fromDir) {
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    return null;
+  }
+
+  const builtin = getBuiltinExports(specifier);
+  if (builtin) return builtin;
+
+  const { name, subpath } = splitSpecifier(specifier);
+  const located = locatePackage(name, fromDir);
+  if (!located) return null;
+
+  const { packageDir, packageJson } = located;
+  const key = `${packageDir}@${packageJson.version}\0${subpath}`;
+  if (!exportsByVersion.has(key)) {
+    // Placeholder while the package is analyzed, for circular re-exports
+    exportsByVersion.set(key, null);
+    const entries = getEntryPoints(located, subpath);
+    const runtime = collectNames(entries.runtime);
+    const types = collectNames(
+      entries.types || findTypesPackageEntry(name, fromDir, subpath)
+    );
+    exportsByVersion.set(key, {
+      values: runtime ? runtime.values : null,
+      types: types ? types.types : null,
+    });
+  }
+  return exportsByVersion.get(key);
+}
+
+/**
+ * Whether a bare module specifier (`"lodash/map"`) resolves to a runtime or
+ * declaration file as seen from `fromDir`. Returns null when that can't be
+ * known: relative specifiers and packages that are not installed.
+ */
+function moduleExists(specifier, fromDir) {
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    return null;
+  }
+  if (getBuiltinExports(specifier)) return true;
+
+  const { name, subpath } = splitSpecifier(specifier);
+  const located = locatePackage(name, fromDir);
+  if (!located) return null;
+
+  const { packageDir, packageJson } = located;
+  const key = `${packageDir}@${packageJson.version}\0${subpath}`;
+  if (!existenceByVersion.has(key)) {
+    const entries = getEntryPoints(located, subpath);
+    existenceByVersion.set(
+      key,
+      Boolean(
+        entries.runtime ||
+          entries.types ||
+          findTypesPackageEntry(name, fromDir, subpath)
+      )
+    );
+  }
+  return existenceByVersion.get(key);
+}
+
+module.exports = {
+  getPackageExports,
+  moduleExists,
+};
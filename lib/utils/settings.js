@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Plugin-wide settings shared by every rule, read from
+ * `settings["@tnnquang/eslint"]` so values such as the alias map or library
+ * lists are declared once. Rule options take precedence over them. ESLint
+ * does not validate settings, so this module does, and reports each problem
+ * on one file per configuration.
+ */
+
+const { getFilename } = require("./context");
+const { FRAMEWORKS } = require("./frameworks");
+
+const SETTINGS_KEY = "@tnnquang/eslint";
+
+const INVALID_CONFIG_MESSAGE =
+  "Invalid @tnnquang/eslint configuration: {{problem}}.";
+
+function isString(value) {
+  return typeof value === "string";
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(isString);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Each setting with a check for its value and what the check expects
+const SETTING_TYPES = {
+  rootDir: [isString, "a string"],
+  configFile: [isString, "a string"],
+  project: [
+    (value) => isString(value) || (isStringArray(value) && value.length > 0),
+    "a string or a non-empty array of strings",
+  ],
+  paths: [
+    (value) =>
+      isPlainObject(value) && Object.values(value).every(isStringArray),
+    "an object mapping aliases to arrays of paths",
+  ],
+  baseUrl: [isString, "a string"],
+  fallbackBaseUrl: [isString, "a string"],
+  allowedLibraries: [isStringArray, "an array of strings"],
+  targetLibraries: [isStringArray, "an array of strings"],
+  framework: [
+    (value) => FRAMEWORKS.includes(value),
+    `one of ${FRAMEWORKS.map((framework) => `"${framework}"`).join(", ")}`,
+  ],
+};
+
+// The rule and file each problem was first reported by, by configuration
+// (see getConfigKey)
+const reportedProblems = new WeakMap();
+
+/**
+ * Object that stands for the configuration a rule runs with. ESLint hands
+ * every file linted with the same config the same settings object and
+ * builds new ones when the config is reloaded, so de-duplicating on it
+ * shows a problem again in a language server once it is reintroduced. Flat
+ * configs without settings get a fresh `{}` per file, so the rule's options
+ * object is used then, and the settings object when there are no options.
+ */
+function getConfigKey(context) {
+  const settings = context.settings || {};
+  if (Object.keys(settings).length > 0) {
+    return settings;
+  }
+  const options = context.options[0];
+  return options && typeof options === "object" ? options : settings;
+}
+
+/**
+ * Read the shared settings. Returns the valid values and a description of
+ * every invalid or unknown entry.
+ */
+function getSharedSettings(context) {
+  const settings = context.settings && context.settings[SETTINGS_KEY];
+  const values = {};
+  const problems = [];
+
+  if (settings === undefined) {
+    return { values, problems };
+  }
+  if (!isPlainObject(settings)) {
+    problems.push(`settings["${SETTINGS_KEY}"] must be an object`);
+    return { values, problems };
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    const type = SETTING_TYPES[key];
+    if (!type) {
+      problems.push(
+        `unknown setting "${key}" in settings["${SETTINGS_KEY}"] (expected ${Object.keys(
+          SETTING_TYPES
+        ).join(", ")})`
+      );
+    } else if (!type[0](value)) {
+      problems.push(
+        `settings["${SETTINGS_KEY}"].${key} must be ${type[1]}, so it is ignored`
+      );
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return { values, problems };
+}
+
+/**
+ * The rule's options on top of the shared settings listed in `keys`, plus
+ * the settings problems to report.
+ */
+function getOptionsWithSettings(context, keys) {
+  const { values, problems } = getSharedSettings(context);
+  const options = {};
+  for (const key of keys) {
+    if (values[key] !== undefined) {
+      options[key] = values[key];
+    }
+  }
+  return {
+    options: { ...options, ...(context.options[0] || {}) },
+    problems,
+  };
+}
+
+/**
+ * Report configuration problems on `node` with the rule's `invalidConfig`
+ * message. Each problem is reported by the first rule and file that run
+ * into it with a configuration, every time they are linted: `--fix` lints a
+ * file several times and only keeps the messages of the last pass.
+ */
+function reportConfigProblems(context, node, problems) {
+  const key = getConfigKey(context);
+  if (!reportedProblems.has(key)) {
+    reportedProblems.set(key, new Map());
+  }
+  const reported = reportedProblems.get(key);
+  const reporter = `${context.id} ${getFilename(context)}`;
+
+  for (const problem of problems) {
+    if (reported.has(problem) && reported.get(problem) !== reporter) continue;
+    reported.set(problem, reporter);
+
+    context.report({
+      node,
+      messageId: "invalidConfig",
+      data: { problem },
+    });
+  }
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  INVALID_CONFIG_MESSAGE,
+  getSharedSettings,
+  getOptionsWithSettings,
+  getConfigKey,
+  reportConfigProblems,
+};
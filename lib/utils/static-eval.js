@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Parses JavaScript/TypeScript config files and statically
+ * evaluates the parts we care about (object literals, strings, `path` and
+ * `url` helpers, `__dirname`, `import.meta.url`, `defineConfig()` wrappers).
+ * Anything that would need the file to actually run evaluates to `UNKNOWN`.
+ */
+
+const path = require("path");
+const { pathToFileURL, fileURLToPath } = require("url");
+
+const UNKNOWN = Symbol("unknown");
+const MAX_DEPTH = 64;
+
+// Marker returned for calls to alias plugins such as @rollup/plugin-alias
+const ALIAS_PLUGIN = Symbol("aliasPlugin");
+
+// Key under which an object lists the spreads (`...aliases`) whose
+// properties could not be evaluated
+const UNKNOWN_SPREADS = Symbol("unknownSpreads");
+
+const ALIAS_PLUGIN_MODULES = new Set([
+  "@rollup/plugin-alias",
+  "rollup-plugin-alias",
+]);
+
+function loadParserModule(name, fromDirs) {
+  for (const dir of fromDirs) {
+    try {
+      return require(require.resolve(name, { paths: [dir] }));
+    } catch (error) {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+function getEslintDir() {
+  try {
+    return path.dirname(require.resolve("eslint"));
+  } catch (error) {
+    return __dirname;
+  }
+}
+
+/**
+ * Parse a config file (or any other module) into an ESTree AST. Uses the
+ * espree that ships with ESLint, and falls back to @typescript-eslint/parser
+ * from the project for TypeScript syntax.
+ */
+function parseModuleSource(code, filePath) {
+  const lookupDirs = [path.dirname(filePath), getEslintDir()];
+  const espree = loadParserModule("espree", [getEslintDir()]);
+  let espreeError = null;
+
+  if (espree) {
+    try {
+      return espree.parse(code, {
+        ecmaVersion: espree.latestEcmaVersion || 2020,
+        sourceType: "module",
+      });
+    } catch (error) {
+      espreeError = error;
+    }
+  }
+
+  const tsParser = loadParserModule("@typescript-eslint/parser", lookupDirs);
+  if (tsParser) {
+    return tsParser.parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      filePath,
+    });
+  }
+
+  throw espreeError || new Error("No JavaScript parser is available");
+}
+
+function normalizeModuleName(source) {
+  return source.startsWith("node:") ? source.slice(5) : source;
+}
+
+// Reference to an imported/required module, or a member of one
+class ModuleBinding {
+  constructor(source, members = []) {
+    this.source = normalizeModuleName(source);
+    this.members = members;
+  }
+
+  get(member) {
+    return new ModuleBinding(this.source, [...this.members, member]);
+  }
+}
+
+class FunctionValue {
+  constructor(node, scope) {
+    this.node = node;
+    this.scope = scope;
+  }
+}
+
+function isKnown(value) {
+  return value !== UNKNOWN;
+}
+
+// Objects evaluated from literals, as opposed to module bindings, URLs...
+function isObjectLiteralValue(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+function describeSpread(node) {
+  return node.type === "Identifier" ? `...${node.name}` : "a spread";
+}
+
+function callPathHelper(name, args) {
+  const helpers = {
+    resolve: path.resolve,
+    join: path.join,
+    normalize: path.normalize,
+    dirname: path.dirname,
+    relative: path.relative,
+  };
+  const helper = helpers[name];
+  if (!helper || !args.every((arg) => typeof arg === "string")) {
+    return UNKNOWN;
+  }
+  return helper(...args);
+}
+
+function callModuleBinding(binding, args) {
+  const members = binding.members.filter((member) => member !== "default");
+  const name = members[members.length - 1];
+
+  if (binding.source === "path") {
+    return callPathHelper(name, args);
+  }
+
+  if (binding.source === "url" && name === "fileURLToPath") {
+    const [url] = args;
+    if (url instanceof URL || typeof url === "string") {
+      return fileURLToPath(url);
+    }
+    return UNKNOWN;
+  }
+
+  if (ALIAS_PLUGIN_MODULES.has(binding.source) && members.length === 0) {
+    return { [ALIAS_PLUGIN]: args[0] };
+  }
+
+  // defineConfig() from vite, rollup, vitest, ... returns its argument
+  if (name === "defineConfig") {
+    return args[0] === undefined ? UNKNOWN : args[0];
+  }
+
+  return UNKNOWN;
+}
+
+/**
+ * Create an evaluator for one parsed file. Top-level declarations are
+ * evaluated lazily when referenced.
+ */
+function createEvaluator(ast, filePath) {
+  const fileDir = path.dirname(filePath);
+  const rootScope = { parent: null, bindings: new Map() };
+
+  function declare(scope, name, resolveValue) {
+    let cached;
+    let evaluated = false;
+    scope.bindings.set(name, () => {
+      if (!evaluated) {
+        evaluated = true;
+        cached = UNKNOWN; // Guards against self-referencing declarations
+        cached = resolveValue();
+      }
+      return cached;
+    });
+  }
+
+  function declarePattern(scope, pattern, resolveValue) {
+    if (pattern.type === "Identifier") {
+      declare(scope, pattern.name, resolveValue);
+    } else if (pattern.type === "ObjectPattern") {
+      for (const property of pattern.properties) {
+        if (property.type !== "Property" || property.computed) continue;
+        const key = property.key.name || property.key.value;
+        const target =
+          property.value.type === "AssignmentPattern"
+            ? property.value.left
+            : property.value;
+        declarePattern(scope, target, () => getMember(resolveValue(), key));
+      }
+    }
+  }
+
+  function declareStatements(scope, statements) {
+    for (const statement of statements) {
+      let declaration = statement;
+      if (
+        (statement.type === "ExportNamedDeclaration" ||
+          statement.type === "ExportDefaultDeclaration") &&
+        statement.declaration
+      ) {
+        declaration = statement.declaration;
+      }
+
+      if (declaration.type === "VariableDeclaration") {
+        for (const declarator of declaration.declarations) {
+          if (!declarator.init) continue;
+          declarePattern(scope, declarator.id, () =>
+            evaluate(declarator.init, scope)
+          );
+        }
+      } else if (declaration.type === "FunctionDeclaration" && declaration.id) {
+        declare(
+          scope,
+          declaration.id.name,
+          () => new FunctionValue(declaration, scope)
+        );
+      } else if (declaration.type === "ImportDeclaration") {
+        const source = declaration.source.value;
+        for (const specifier of declaration.specifiers) {
+          const binding =
+            specifier.type === "ImportSpecifier"
+              ? new ModuleBinding(source, [
+                  specifier.imported.name || specifier.imported.value,
+                ])
+              : new ModuleBinding(source);
+          declare(scope, specifier.local.name, () => binding);
+        }
+      }
+    }
+  }
+
+  function lookup(scope, name) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.bindings.has(name)) {
+        return current.bindings.get(name)();
+      }
+    }
+    return undefined;
+  }
+
+  function getMember(object, key) {
+    if (!isKnown(object) || object === undefined || object === null) {
+      return UNKNOWN;
+    }
+    if (object instanceof ModuleBinding) {
+      return object.get(key);
+    }
+    if (typeof object === "object" || typeof object === "string") {
+      const value = object[key];
+      return value === undefined ? UNKNOWN : value;
+    }
+    return UNKNOWN;
+  }
+
+  function callFunction(fn, args, depth) {
+    const { node, scope } = fn;
+    const functionScope = { parent: scope, bindings: new Map() };
+    node.params.forEach((param, index) => {
+      const arg = index < args.length ? args[index] : UNKNOWN;
+      declarePattern(functionScope, param, () => arg);
+    });
+
+    if (node.body.type !== "BlockStatement") {
+      return evaluate(node.body, functionScope, depth + 1);
+    }
+
+    declareStatements(functionScope, node.body.body);
+    const returnStatement = node.body.body.find(
+      (statement) => statement.type === "ReturnStatement"
+    );
+    return returnStatement && returnStatement.argument
+      ? evaluate(returnStatement.argument, functionScope, depth + 1)
+      : UNKNOWN;
+  }
+
+  function evaluateCall(node, scope, depth) {
+    // require("x") and require("x").member
+    if (
+      node.callee.type === "Identifier" &&
+      node.callee.name === "require" &&
+      node.arguments.length === 1 &&
+      node.arguments[0].type === "Literal"
+    ) {
+      return new ModuleBinding(String(node.arguments[0].value));
+    }
+
+    // process.cwd() is approximated by the config file's directory
+    if (
+      node.callee.type === "MemberExpression" &&
+      node.callee.object.type === "Identifier" &&
+      node.callee.object.name === "process" &&
+      node.callee.property.name === "cwd"
+    ) {
+      return fileDir;
+    }
+
+    const callee = evaluate(node.callee, scope, depth + 1);
+    const args = node.arguments.map((arg) =>
+      arg.type === "SpreadElement" ? UNKNOWN : evaluate(arg, scope, depth + 1)
+    );
+
+    if (callee instanceof ModuleBinding) {
+      return callModuleBinding(callee, args);
+    }
+    if (callee instanceof FunctionValue) {
+      return callFunction(callee, args, depth);
+    }
+    return UNKNOWN;
+  }
+
+  function evaluate(node, scope = rootScope, depth = 0) {
+    if (!node || depth > MAX_DEPTH) return UNKNOWN;
+
+    switch (node.type) {
+      case "Literal":
+        return node.regex
+          ? new RegExp(node.regex.pattern, node.regex.flags)
+          : node.value;
+
+      case "TemplateLiteral": {
+        let result = node.quasis[0].value.cooked;
+        for (let i = 0; i < node.expressions.length; i++) {
+          const value = evaluate(node.expressions[i], scope, depth + 1);
+          if (!isKnown(value) || typeof value === "object") return UNKNOWN;
+          result += String(value) + node.quasis[i + 1].value.cooked;
+        }
+        return result;
+      }
+
+      case "Identifier": {
+        if (node.name === "__dirname") return fileDir;
+        if (node.name === "__filename") return filePath;
+        if (node.name === "undefined") return undefined;
+        const value = lookup(scope, node.name);
+        return value === undefined ? UNKNOWN : value;
+      }
+
+      case "MetaProperty":
+        if (node.meta.name !== "import") return UNKNOWN;
+        return {
+          url: pathToFileURL(filePath).href,
+          dirname: fileDir,
+          filename: filePath,
+        };
+
+      case "ObjectExpression": {
+        const result = {};
+        for (const property of node.properties) {
+          if (property.type === "SpreadElement") {
+            const spread = evaluate(property.argument, scope, depth + 1);
+            if (isObjectLiteralValue(spread)) {
+              Object.assign(result, spread);
+            } else if (
+              !isKnown(spread) ||
+              (spread !== null && typeof spread === "object")
+            ) {
+              result[UNKNOWN_SPREADS] = [
+                ...(result[UNKNOWN_SPREADS] || []),
+                describeSpread(property.argument),
+              ];
+            }
+            continue;
+          }
+
+          const key = property.computed
+            ? evaluate(property.key, scope, depth + 1)
+            : property.key.name !== undefined
+              ? property.key.name
+              : property.key.value;
+          if (!isKnown(key) || typeof key === "object") continue;
+
+          result[key] =
+            property.kind === "init" && !property.method
+              ? evaluate(property.value, scope, depth + 1)
+              : new FunctionValue(property.value, scope);
+        }
+        return result;
+      }
+
+      case "ArrayExpression":
+        return node.elements.map((element) =>
+          !element || element.type === "SpreadElement"
+            ? UNKNOWN
+            : evaluate(element, scope, depth + 1)
+        );
+
+      case "MemberExpression": {
+        const object = evaluate(node.object, scope, depth + 1);
+        const key = node.computed
+          ? evaluate(node.property, scope, depth + 1)
+          : node.property.name;
+        if (!isKnown(key)) return UNKNOWN;
+        return getMember(object, key);
+      }
+
+      case "CallExpression":
+        return evaluateCall(node, scope, depth);
+
+      case "NewExpression": {
+        if (node.callee.type === "Identifier" && node.callee.name === "URL") {
+          const args = node.arguments.map((arg) =>
+            evaluate(arg, scope, depth + 1)
+          );
+          if (
+            args.every((arg) => typeof arg === "string" || arg instanceof URL)
+          ) {
+            try {
+              return new URL(...args);
+            } catch (error) {
+              return UNKNOWN;
+            }
+          }
+        }
+        return UNKNOWN;
+      }
+
+      case "BinaryExpression": {
+        if (node.operator !== "+") return UNKNOWN;
+        const left = evaluate(node.left, scope, depth + 1);
+        const right = evaluate(node.right, scope, depth + 1);
+        if (typeof left === "string" && typeof right === "string") {
+          return left + right;
+        }
+        return UNKNOWN;
+      }
+
+      case "LogicalExpression": {
+        const left = evaluate(node.left, scope, depth + 1);
+        if (!isKnown(left)) return UNKNOWN;
+        const right = () => evaluate(node.right, scope, depth + 1);
+        if (node.operator === "||") return left || right();
+        if (node.operator === "&&") return left && right();
+        return left !== null && left !== undefined ? left : right();
+      }
+
+      case "ArrowFunctionExpression":
+      case "FunctionExpression":
+        return new FunctionValue(node, scope);
+
+      case "ChainExpression":
+      case "TSAsExpression":
+      case "TSSatisfiesExpression":
+      case "TSNonNullExpression":
+      case "TSTypeAssertion":
+        return evaluate(node.expression, scope, depth + 1);
+
+      case "AwaitExpression":
+        return evaluate(node.argument, scope, depth + 1);
+
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  declareStatements(rootScope, ast.body);
+
+  // The value a bundler would load: `export default` or `module.exports`
+  function evaluateExport() {
+    for (const statement of ast.body) {
+      if (statement.type === "ExportDefaultDeclaration") {
+        const declaration = statement.declaration;
+        if (declaration.type === "FunctionDeclaration") {
+          return new FunctionValue(declaration, rootScope);
+        }
+        return evaluate(declaration);
+      }
+
+      if (
+        statement.type === "ExpressionStatement" &&
+        statement.expression.type === "AssignmentExpression" &&
+        statement.expression.left.type === "MemberExpression" &&
+        statement.expression.left.object.name === "module" &&
+        statement.expression.left.property.name === "exports"
+      ) {
+        return evaluate(statement.expression.right);
+      }
+    }
+    return UNKNOWN;
+  }
+
+  return {
+    evaluate,
+    evaluateExport,
+    // Config exports may be functions of the env: defineConfig(({ mode }) => {})
+    unwrapConfig(value) {
+      return value instanceof FunctionValue
+        ? callFunction(value, [], 0)
+        : value;
+    },
+  };
+}
+
+module.exports = {
+  UNKNOWN,
+  ALIAS_PLUGIN,
+  UNKNOWN_SPREADS,
+  isKnown,
+  parseModuleSource,
+  createEvaluator,
+};
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Loads tsconfig.json/jsconfig.json files the way `tsc` does:
+ * JSONC syntax, `extends` chains (relative files, packages such as
+ * `@tsconfig/node18` and arrays of bases) and `compilerOptions` merging with
+ * path options resolved against the config file that declares them.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { parseJsonc } = require("./jsonc");
+
+function readJsoncFile(filePath) {
+  return parseJsonc(fs.readFileSync(filePath, "utf8"));
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveFromPackage(specifier, configDir) {
+  try {
+    return require.resolve(specifier, { paths: [configDir] });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve an `extends` entry to an absolute config file path
+function resolveExtendsPath(specifier, configDir) {
+  if (
+    specifier.startsWith("./") ||
+    specifier.startsWith("../") ||
+    path.isAbsolute(specifier)
+  ) {
+    const basePath = path.resolve(configDir, specifier);
+    if (isFile(basePath)) return basePath;
+    if (isFile(`${basePath}.json`)) return `${basePath}.json`;
+    return null;
+  }
+
+  // Package specifier: "@tsconfig/node18/tsconfig.json" or "@tsconfig/strictest"
+  if (specifier.endsWith(".json")) {
+    return resolveFromPackage(specifier, configDir);
+  }
+
+  const packageJsonPath = resolveFromPackage(
+    `${specifier}/package.json`,
+    configDir
+  );
+  if (packageJsonPath) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      if (typeof packageJson.tsconfig === "string") {
+        const tsconfigField = path.resolve(
+          path.dirname(packageJsonPath),
+          packageJson.tsconfig
+        );
+        if (isFile(tsconfigField)) return tsconfigField;
+      }
+    } catch (error) {
+      // Fall through to the conventional locations
+    }
+  }
+
+  return (
+    resolveFromPackage(`${specifier}/tsconfig.json`, configDir) ||
+    resolveFromPackage(`${specifier}.json`, configDir)
+  );
+}
+
+/**
+ * Load a tsconfig file and everything it extends.
+ *
+ * Returns the merged `compilerOptions` plus the resolved alias inputs:
+ * `baseUrl` as an absolute path (or null), `paths` (or null) and
+ * `pathsBasePath`, the directory `paths` targets are relative to. `files`
+ * lists every config file that was read. Problems are collected in `errors`
+ * rather than thrown.
+ */
+function loadTsconfig(configPath, errors = [], ancestors = new Set()) {
+  const result = {
+    configPath,
+    compilerOptions: {},
+    baseUrl: null,
+    paths: null,
+    pathsBasePath: null,
+    references: [],
+    files: [configPath],
+    errors,
+  };
+
+  if (ancestors.has(configPath)) {
+    errors.push(`Circular "extends" chain through ${configPath}`);
+    return result;
+  }
+
+  let raw;
+  try {
+    raw = readJsoncFile(configPath);
+  } catch (error) {
+    errors.push(`Could not parse ${configPath}: ${error.message}`);
+    return result;
+  }
+
+  const configDir = path.dirname(configPath);
+  const bases =
+    raw.extends === undefined
+      ? []
+      : Array.isArray(raw.extends)
+      ? raw.extends
+      : [raw.extends];
+
+  // Later bases override earlier ones, and the config itself overrides all.
+  // Only the configs extending this one count as a cycle: sibling bases may
+  // share a base, which each of them loads in full.
+  const chain = new Set(ancestors).add(configPath);
+  for (const specifier of bases) {
+    if (typeof specifier !== "string") continue;
+
+    const basePath = resolveExtendsPath(specifier, configDir);
+    if (!basePath) {
+      errors.push(
+        `Could not resolve "extends": "${specifier}" in ${configPath}`
+      );
+      continue;
+    }
+
+    const base = loadTsconfig(basePath, errors, chain);
+    result.files.push(...base.files);
+    Object.assign(result.compilerOptions, base.compilerOptions);
+    if (base.baseUrl) result.baseUrl = base.baseUrl;
+    if (base.paths) {
+      result.paths = base.paths;
+      result.pathsBasePath = base.pathsBasePath;
+    }
+  }
+
+  const ownOptions = raw.compilerOptions || {};
+  Object.assign(result.compilerOptions, ownOptions);
+
+  if (typeof ownOptions.baseUrl === "string") {
+    result.baseUrl = path.resolve(configDir, ownOptions.baseUrl);
+  }
+  if (ownOptions.paths && typeof ownOptions.paths === "object") {
+    result.paths = ownOptions.paths;
+    result.pathsBasePath = configDir;
+  }
+
+  // References are not inherited through "extends"
+  if (Array.isArray(raw.references)) {
+    result.references = raw.references
+      .filter((ref) => ref && typeof ref.path === "string")
+      .map((ref) => {
+        const refPath = path.resolve(configDir, ref.path);
+        return isFile(refPath) ? refPath : path.join(refPath, "tsconfig.json");
+      });
+  }
+
+  return result;
+}
+
+// Directory that `paths` targets resolve against: baseUrl when set,
+// otherwise the tsconfig that declared `paths` (TypeScript 4.1+)
+function getPathsBase(tsconfig) {
+  return tsconfig.baseUrl || tsconfig.pathsBasePath;
+}
+
+// Walk up from `startDir` to the closest directory containing one of
+// `fileNames`, checked in order within each directory. Every directory
+// searched is added to `visitedDirs` when given.
+function findNearestConfig(startDir, fileNames, visitedDirs = new Set()) {
+  let dir = startDir;
+
+  for (;;) {
+    visitedDirs.add(dir);
+    for (const fileName of fileNames) {
+      const candidate = path.join(dir, fileName);
+      if (isFile(candidate)) return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+module.exports = {
+  loadTsconfig,
+  findNearestConfig,
+  resolveExtendsPath,
+  getPathsBase,
+};
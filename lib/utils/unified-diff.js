@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Unified diffs for `migrate-aliases --dry-run`. Rewriting a
+ * specifier never adds or removes lines, so lines are compared by position
+ * instead of running a full diff algorithm.
+ */
+
+const CONTEXT_LINES = 3;
+
+const NO_NEWLINE_MARKER = "\\ No newline at end of file\n";
+
+// Lines of a text, and whether its last line lacks a line break
+function splitLines(text) {
+  const lines = text.split("\n");
+  const missingNewline = lines[lines.length - 1] !== "";
+  if (!missingNewline) lines.pop();
+  return { lines, missingNewline };
+}
+
+function formatRange(start, count) {
+  if (count === 1) return `${start + 1}`;
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+function formatLines(prefix, lines, start, end, markLast) {
+  let text = "";
+  for (let index = start; index <= end; index++) {
+    text += `${prefix}${lines[index]}\n`;
+  }
+  return markLast ? text + NO_NEWLINE_MARKER : text;
+}
+
+/**
+ * Unified diff of `oldText` and `newText` labelled with `fileName`, or an
+ * empty string when they are equal. Texts with different line counts are
+ * shown as one hunk replacing the whole file.
+ */
+function createUnifiedDiff(fileName, oldText, newText) {
+  if (oldText === newText) {
+    return "";
+  }
+
+  const before = splitLines(oldText);
+  const after = splitLines(newText);
+  const oldLines = before.lines;
+  const newLines = after.lines;
+  let diff = `--- a/${fileName}\n+++ b/${fileName}\n`;
+
+  if (
+    oldLines.length !== newLines.length ||
+    before.missingNewline !== after.missingNewline
+  ) {
+    return (
+      diff +
+      `@@ -${formatRange(0, oldLines.length)} +${formatRange(
+        0,
+        newLines.length
+      )} @@\n` +
+      formatLines(
+        "-",
+        oldLines,
+        0,
+        oldLines.length - 1,
+        before.missingNewline
+      ) +
+      formatLines("+", newLines, 0, newLines.length - 1, after.missingNewline)
+    );
+  }
+
+  const lastIndex = oldLines.length - 1;
+  const changed = [];
+  oldLines.forEach((line, index) => {
+    if (line !== newLines[index]) changed.push(index);
+  });
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  for (const index of changed) {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && index - hunk.end <= CONTEXT_LINES * 2) {
+      hunk.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const markLast = (index) => index === lastIndex && before.missingNewline;
+  for (const hunk of hunks) {
+    const start = Math.max(0, hunk.start - CONTEXT_LINES);
+    const end = Math.min(lastIndex, hunk.end + CONTEXT_LINES);
+    const range = formatRange(start, end - start + 1);
+    diff += `@@ -${range} +${range} @@\n`;
+
+    let index = start;
+    while (index <= end) {
+      if (oldLines[index] === newLines[index]) {
+        diff += formatLines(" ", oldLines, index, index, markLast(index));
+        index++;
+        continue;
+      }
+
+      // A run of changed lines: all removals, then all additions
+      let runEnd = index;
+      while (
+        runEnd + 1 <= end &&
+        oldLines[runEnd + 1] !== newLines[runEnd + 1]
+      ) {
+        runEnd++;
+      }
+      diff += formatLines("-", oldLines, index, runEnd, markLast(runEnd));
+      diff += formatLines("+", newLines, index, runEnd, markLast(runEnd));
+      index = runEnd + 1;
+    }
+  }
+  return diff;
+}
+
+module.exports = {
+  createUnifiedDiff,
+};
@@ -5,6 +5,7 @@ console.log("Testing ESLint plugin...");
 // Test plugin structure
 console.log("✓ Plugin exports rules:", Object.keys(plugin.rules));
 console.log("✓ Plugin exports configs:", Object.keys(plugin.configs));
+console.log("✓ Plugin meta:", plugin.meta);
 
 // Test rule configurations
 const recommendedConfig = plugin.configs.recommended;
@@ -22,8 +23,13 @@ console.log("✓ Vue config has no-arrow-components:",
 console.log("✓ Angular config has no-arrow-components:", 
   angularConfig.rules["@tnnquang/eslint/no-arrow-components"]);
 
+const flatReactConfig = plugin.configs["flat/react"];
+console.log("✓ Flat React config registers plugin:", 
+  flatReactConfig.plugins["@tnnquang/eslint"] === plugin);
+
 console.log("\n🎉 All tests passed! The plugin supports:")
 console.log("- Configurable rule severities (error, warn, off)")
 console.log("- Framework-specific configurations")
+console.log("- Flat config presets")
 console.log("- TypeScript framework support")
 console.log("- English documentation")
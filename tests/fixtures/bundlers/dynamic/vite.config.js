@@ -0,0 +1,13 @@
+import { defineConfig } from "vite";
+import { aliases } from "./aliases.js";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": "./src",
+      ...aliases,
+      ...(process.env.CI && { ci: "./ci" }),
+      shared: process.env.SHARED_DIR,
+    },
+  },
+});
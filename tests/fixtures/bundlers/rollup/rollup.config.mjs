@@ -0,0 +1,12 @@
+import alias from "@rollup/plugin-alias";
+
+export default [
+  {
+    input: "src/index.js",
+    plugins: [
+      alias({
+        entries: [{ find: "utils", replacement: "./src/utils" }],
+      }),
+    ],
+  },
+];
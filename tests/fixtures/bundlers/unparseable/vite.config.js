@@ -0,0 +1 @@
+export default { resolve: { alias: { "@": "./src" } } 
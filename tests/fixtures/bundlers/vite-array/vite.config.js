@@ -0,0 +1,13 @@
+import path from "path";
+
+const srcDir = path.resolve(__dirname, "src");
+
+export default {
+  resolve: {
+    alias: [
+      { find: "~", replacement: srcDir },
+      { find: "#lib", replacement: path.join(srcDir, "lib") },
+      { find: /^@icons\/(.*)/, replacement: `${srcDir}/icons/$1` },
+    ],
+  },
+};
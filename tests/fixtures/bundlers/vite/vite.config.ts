@@ -0,0 +1,14 @@
+import { fileURLToPath, URL } from "node:url";
+import { defineConfig } from "vite";
+import vue from "@vitejs/plugin-vue";
+
+export default defineConfig(({ mode }) => ({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL("./src", import.meta.url)),
+      components: fileURLToPath(new URL("./src/components", import.meta.url)),
+    },
+  },
+  server: { port: mode === "test" ? 3001 : 3000 },
+}));
@@ -0,0 +1,12 @@
+const path = require("path");
+
+module.exports = {
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "src/"),
+      config$: path.resolve(__dirname, "src/config.js"),
+      vue$: "vue/dist/vue.esm.js",
+      legacy: false,
+    },
+  },
+};
@@ -0,0 +1,6 @@
+import { value } from "../utils/format";
+import { Header } from "./Header";
+
+export function App() {
+  return [Header, value];
+}
@@ -0,0 +1,2 @@
+import { value } from "../utils/format"
+export const broken = (;
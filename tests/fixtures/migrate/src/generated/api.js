@@ -0,0 +1,3 @@
+import { value } from "../utils/format";
+
+export const api = value;
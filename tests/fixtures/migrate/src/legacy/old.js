@@ -0,0 +1,3 @@
+const { value } = require("../utils/format");
+
+module.exports = value;
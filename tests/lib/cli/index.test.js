@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const { run } = require("../../../lib/cli");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/migrate");
+
+// A writable stream stand-in that keeps what was written
+function createOutput() {
+  return {
+    text: "",
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+async function runCli(args) {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const exitCode = await run(args, { cwd: FIXTURE_DIR, stdout, stderr });
+  return { exitCode, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("tnnquang-eslint", () => {
+  it("prints the usage with --help", async () => {
+    const { exitCode, stdout } = await runCli(["--help"]);
+
+    expect(exitCode).toBe(0);
+    expect(stdout).toMatch(/^Usage: tnnquang-eslint migrate-aliases/);
+  });
+
+  it.each([
+    [[], /^Usage: /],
+    [["lint"], /^tnnquang-eslint: unknown command lint\n\nUsage: /],
+    [["migrate-aliases", "--fix"], /^tnnquang-eslint: unknown option --fix\n/],
+    [
+      ["migrate-aliases", "--ignore"],
+      /^tnnquang-eslint: --ignore needs a value/,
+    ],
+    [
+      ["migrate-aliases", "--project", "--dry-run"],
+      /^tnnquang-eslint: --project needs a value/,
+    ],
+    [["migrate-aliases", "src", "lib"], /unexpected argument lib/],
+    [
+      ["migrate-aliases", "missing"],
+      /^tnnquang-eslint: missing is not a directory/,
+    ],
+    [
+      ["migrate-aliases", "src/utils/format.js"],
+      /src\/utils\/format\.js is not a directory/,
+    ],
+  ])("exits with 2 for the usage error in %j", async (args, message) => {
+    const { exitCode, stdout, stderr } = await runCli(args);
+
+    expect(exitCode).toBe(2);
+    expect(stdout).toBe("");
+    expect(stderr).toMatch(message);
+  });
+
+  describe("migrate-aliases --dry-run", () => {
+    const appPath = path.join(FIXTURE_DIR, "src/app/App.js");
+    let appSource;
+
+    beforeEach(() => {
+      appSource = fs.readFileSync(appPath, "utf8");
+    });
+
+    afterEach(() => {
+      expect(fs.readFileSync(appPath, "utf8")).toBe(appSource);
+    });
+
+    it("prints diffs and a summary per alias without writing", async () => {
+      const { exitCode, stdout, stderr } = await runCli([
+        "migrate-aliases",
+        "--dry-run",
+      ]);
+
+      expect(stderr).toBe("");
+      expect(stdout).toBe(`--- a/src/app/App.js
++++ b/src/app/App.js
+@@ -1,5 +1,5 @@
+-import { value } from "../utils/format";
+-import { Header } from "./Header";
++import { value } from "@utils/format";
++import { Header } from "@/app/Header";
+ 
+ export function App() {
+   return [Header, value];
+--- a/src/legacy/old.js
++++ b/src/legacy/old.js
+@@ -1,3 +1,3 @@
+-const { value } = require("../utils/format");
++const { value } = require("@utils/format");
+ 
+ module.exports = value;
+Would rewrite 3 imports in 2 files:
+  @utils/*  2 imports in 2 files
+  @/*       1 import in 1 file
+Skipped 1 file:
+  src/app/Broken.js  Parsing error: Unexpected token ;
+`);
+      // Broken.js could not be parsed
+      expect(exitCode).toBe(1);
+    });
+
+    it("only reads the given directory and skips --ignore globs", async () => {
+      const { exitCode, stdout } = await runCli([
+        "migrate-aliases",
+        "src",
+        "--dry-run",
+        "--ignore",
+        "src/legacy",
+        "--ignore",
+        "src/app/Broken.js",
+      ]);
+
+      expect(exitCode).toBe(0);
+      expect(stdout).toMatch(/^--- a\/src\/app\/App\.js\n/);
+      expect(stdout).toMatch(/\nWould rewrite 2 imports in 1 file:\n/);
+    });
+
+    it("reads aliases from --config-file", async () => {
+      const { stdout } = await runCli([
+        "migrate-aliases",
+        "src/app",
+        "--dry-run",
+        "--config-file",
+        "tsconfig.app.json",
+        "--ignore",
+        "src/app/Broken.js",
+      ]);
+
+      expect(stdout).toMatch(
+        /\n\+import \{ value \} from "~\/utils\/format";\n/
+      );
+    });
+  });
+});
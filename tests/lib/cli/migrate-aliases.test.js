@@ -0,0 +1,91 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { migrateAliases } = require("../../../lib/cli/migrate-aliases");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/migrate");
+
+describe("migrateAliases", () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), "tnnquang-migrate-"));
+    fs.cpSync(FIXTURE_DIR, cwd, { recursive: true });
+    fs.rmSync(path.join(cwd, "src/app/Broken.js"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  function read(fileName) {
+    return fs.readFileSync(path.join(cwd, fileName), "utf8");
+  }
+
+  it("writes the rewritten files and reports them", async () => {
+    const result = await migrateAliases({ cwd, write: true });
+
+    expect(result).toEqual({
+      changed: [
+        {
+          fileName: path.join("src", "app", "App.js"),
+          aliases: ["@utils/*", "@/*"],
+          diff: expect.stringMatching(/^--- a\/src\/app\/App\.js\n/),
+        },
+        {
+          fileName: path.join("src", "legacy", "old.js"),
+          aliases: ["@utils/*"],
+          diff: expect.any(String),
+        },
+      ],
+      unfixable: [],
+      skipped: [],
+      warnings: [],
+    });
+    expect(read("src/app/App.js")).toMatch(
+      /^import \{ value \} from "@utils\/format";\nimport \{ Header \} from "@\/app\/Header";\n/
+    );
+    expect(read("src/legacy/old.js")).toMatch(/require\("@utils\/format"\)/);
+  });
+
+  it("leaves ESLint-ignored files and build output alone", async () => {
+    fs.mkdirSync(path.join(cwd, "dist"));
+    fs.writeFileSync(
+      path.join(cwd, "dist/index.js"),
+      'export { value } from "../src/utils/format";\n'
+    );
+    await migrateAliases({ cwd, write: true });
+
+    expect(read("src/generated/api.js")).toMatch(/from "\.\.\/utils\/format"/);
+    expect(read("dist/index.js")).toMatch(/from "\.\.\/src\/utils\/format"/);
+  });
+
+  it("only writes with write", async () => {
+    const result = await migrateAliases({ cwd });
+
+    expect(result.changed).toHaveLength(2);
+    expect(read("src/app/App.js")).toBe(
+      fs.readFileSync(path.join(FIXTURE_DIR, "src/app/App.js"), "utf8")
+    );
+  });
+
+  it("keeps a byte order mark", async () => {
+    const filePath = path.join(cwd, "src/app/App.js");
+    fs.writeFileSync(filePath, `\uFEFF${fs.readFileSync(filePath, "utf8")}`);
+    await migrateAliases({ cwd, write: true });
+
+    expect(read("src/app/App.js")).toMatch(/^\uFEFFimport \{ value \} from "@/);
+  });
+
+  it("skips files that git ignores", async () => {
+    spawnSync("git", ["init", "-q"], { cwd });
+    fs.writeFileSync(path.join(cwd, ".gitignore"), "src/legacy/\n");
+
+    const result = await migrateAliases({ cwd });
+
+    expect(result.changed.map((file) => file.fileName)).toEqual([
+      path.join("src", "app", "App.js"),
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+const path = require("path");
+const plugin = require("../../lib");
+
+const FIXTURE_DIR = path.join(__dirname, "../fixtures/frameworks");
+
+const RULES = {
+  "@tnnquang/eslint/no-namespace-import": "warn",
+  "@tnnquang/eslint/enforce-path-alias": "warn",
+};
+const JSX_RULES = { "@tnnquang/eslint/no-arrow-components": "warn" };
+
+describe("createAutoConfig", () => {
+  it("checks JSX files when the project uses a JSX framework", () => {
+    const cwd = path.join(FIXTURE_DIR, "react-app");
+
+    expect(plugin.createAutoConfig({ cwd })).toEqual([
+      {
+        name: "@tnnquang/eslint/flat/auto",
+        plugins: { "@tnnquang/eslint": plugin },
+        rules: RULES,
+      },
+      {
+        name: "@tnnquang/eslint/flat/auto/jsx",
+        files: ["**/*.jsx", "**/*.tsx"],
+        plugins: { "@tnnquang/eslint": plugin },
+        rules: JSX_RULES,
+      },
+    ]);
+    expect(plugin.createAutoConfig({ cwd, format: "eslintrc" })).toEqual({
+      plugins: ["@tnnquang/eslint"],
+      rules: RULES,
+      overrides: [{ files: ["*.jsx", "*.tsx"], rules: JSX_RULES }],
+    });
+  });
+
+  it("limits JSX checks to the workspaces that use a JSX framework", () => {
+    const cwd = path.join(FIXTURE_DIR, "workspaces");
+
+    expect(plugin.createAutoConfig({ cwd })[1].files).toEqual([
+      "apps/web/**/*.jsx",
+      "apps/web/**/*.tsx",
+    ]);
+    expect(
+      plugin.createAutoConfig({ cwd, format: "eslintrc" }).overrides
+    ).toEqual([
+      { files: ["apps/web/**/*.jsx", "apps/web/**/*.tsx"], rules: JSX_RULES },
+    ]);
+  });
+
+  it("leaves JSX files alone without a JSX framework", () => {
+    const cwd = path.join(FIXTURE_DIR, "workspaces/apps/admin");
+
+    expect(plugin.createAutoConfig({ cwd })).toHaveLength(1);
+    expect(plugin.createAutoConfig({ cwd, format: "eslintrc" })).toEqual({
+      plugins: ["@tnnquang/eslint"],
+      rules: RULES,
+      overrides: [],
+    });
+  });
+
+  it("prints what it detected with debug", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      plugin.createAutoConfig({
+        cwd: path.join(FIXTURE_DIR, "workspaces"),
+        debug: true,
+      });
+      const output = error.mock.calls.map(([message]) => message).join("\n");
+
+      expect(output).toContain("detected no framework");
+      expect(output).toContain(
+        `workspace ${path.join("apps", "web")}: detected react, nextjs`
+      );
+      expect(output).toContain(
+        "@tnnquang/eslint/no-arrow-components on apps/web/**/*.jsx, apps/web/**/*.tsx files"
+      );
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
+
+describe("auto configs", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The plugin with its lazy configs not read yet, built from `cwd`
+  function loadPlugin(cwd) {
+    jest.spyOn(process, "cwd").mockReturnValue(cwd);
+    let freshPlugin;
+    jest.isolateModules(() => {
+      freshPlugin = require("../../lib");
+    });
+    return freshPlugin;
+  }
+
+  it("are not enumerable", () => {
+    const freshPlugin = loadPlugin(path.join(FIXTURE_DIR, "react-app"));
+
+    expect(Object.keys(freshPlugin.configs)).not.toContain("auto");
+    expect(Object.keys(freshPlugin.configs)).not.toContain("flat/auto");
+    expect(Object.keys(freshPlugin.configs)).toContain("flat/recommended");
+  });
+
+  it("are built from the working directory on first use and cached", () => {
+    const freshPlugin = loadPlugin(path.join(FIXTURE_DIR, "react-app"));
+    const flatConfig = freshPlugin.configs["flat/auto"];
+
+    expect(process.cwd).toHaveBeenCalledTimes(1);
+    expect(flatConfig[1].files).toEqual(["**/*.jsx", "**/*.tsx"]);
+    expect(freshPlugin.configs["flat/auto"]).toBe(flatConfig);
+    expect(freshPlugin.configs.auto.overrides).toHaveLength(1);
+    expect(freshPlugin.configs.auto).toBe(freshPlugin.configs.auto);
+    expect(process.cwd).toHaveBeenCalledTimes(2);
+  });
+});
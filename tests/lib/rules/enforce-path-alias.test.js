@@ -0,0 +1,455 @@
+const path = require("path");
+const { Linter } = require("eslint");
+const { RuleTester } = require("@typescript-eslint/rule-tester");
+const rule = require("../../../lib/rules/enforce-path-alias");
+
+const ruleTester = new RuleTester({
+  parserOptions: {
+    ecmaVersion: "latest",
+    sourceType: "module",
+    ecmaFeatures: { jsx: true },
+  },
+});
+
+const FIXTURES_DIR = path.join(__dirname, "../../fixtures");
+
+// tsconfig with comments and trailing commas whose "@/*" comes from a base
+const TSCONFIG_DIR = path.join(FIXTURES_DIR, "tsconfig");
+const BROKEN_DIR = path.join(TSCONFIG_DIR, "broken");
+
+// Packages with their own tsconfig or jsconfig under apps/ and packages/
+const MONOREPO_DIR = path.join(FIXTURES_DIR, "monorepo");
+const monorepoSettings = { "@tnnquang/eslint": { rootDir: MONOREPO_DIR } };
+
+// Vite config with aliases that depend on the environment
+const VITE_DIR = path.join(FIXTURES_DIR, "bundlers/dynamic");
+
+// Project whose tsconfig maps "@/*", "@components/*", "@config" and a
+// two-target "@shared/*" into src/
+const ROOT_DIR = path.join(FIXTURES_DIR, "aliases");
+const settings = { "@tnnquang/eslint": { rootDir: ROOT_DIR } };
+
+function file(fileName) {
+  return path.join(ROOT_DIR, "src", fileName);
+}
+
+const APP = file("app/App.tsx");
+const CART = file("features/cart/Cart.tsx");
+
+const FORMAT = { alias: "@/utils/format", importPath: "../utils/format" };
+
+ruleTester.run("enforce-path-alias", rule, {
+  valid: [
+    {
+      code: 'import { value } from "@/utils/format";',
+      filename: path.join(TSCONFIG_DIR, "src/app/App.ts"),
+      settings: { "@tnnquang/eslint": { rootDir: TSCONFIG_DIR } },
+    },
+
+    {
+      code: 'import { value } from "@/utils/format";',
+      filename: path.join(MONOREPO_DIR, "apps/web/src/app/App.ts"),
+      settings: monorepoSettings,
+      options: [{ project: "nearest" }],
+    },
+
+    // Package and alias imports
+    { code: 'import React from "react";', filename: APP, settings },
+    {
+      code: 'import { value } from "@/utils/format";',
+      filename: APP,
+      settings,
+    },
+    // Only imports into direct children of src by default
+    {
+      code: 'import { Cart } from "../features/cart/Cart";',
+      filename: APP,
+      settings,
+    },
+    // Specifiers that are not static
+    {
+      code: "const load = (name) => import(`../utils/${name}`);",
+      filename: APP,
+      settings,
+      options: [{ boundary: "none" }],
+    },
+    {
+      code: 'load("../utils/format");',
+      filename: APP,
+      settings,
+      options: [{ boundary: "none" }],
+    },
+    // Relative imports inside the file's own module
+    {
+      code: 'import { Item } from "./ui/Item";',
+      filename: CART,
+      settings,
+      options: [{ boundary: { pattern: "src/features/*" } }],
+    },
+    {
+      code: 'import { Item } from "./ui/Item";',
+      filename: CART,
+      settings,
+      options: [{ boundary: { depth: 2 } }],
+    },
+    // Excluded folders and declaration files
+    {
+      code: 'import { value } from "../utils/format";',
+      filename: APP,
+      settings,
+      options: [{ exclude: ["src/utils"] }],
+    },
+    {
+      code: 'import { value } from "../utils/format";',
+      filename: file("app/types.d.ts"),
+      settings,
+    },
+  ],
+  invalid: [
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@/utils/format";',
+      filename: path.join(TSCONFIG_DIR, "src/app/App.ts"),
+      settings: { "@tnnquang/eslint": { rootDir: TSCONFIG_DIR } },
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/format";',
+      filename: path.join(BROKEN_DIR, "src/app/App.ts"),
+      settings: { "@tnnquang/eslint": { rootDir: BROKEN_DIR } },
+      errors: [{ messageId: "noAliasesResolved" }],
+    },
+
+    // The tsconfig or jsconfig of each package
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@/utils/format";',
+      filename: path.join(MONOREPO_DIR, "apps/web/src/app/App.ts"),
+      settings: monorepoSettings,
+      options: [{ project: "nearest" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@ui/utils/format";',
+      filename: path.join(MONOREPO_DIR, "packages/ui/src/app/App.js"),
+      settings: monorepoSettings,
+      options: [{ project: "nearest" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@ui/utils/format";',
+      filename: path.join(MONOREPO_DIR, "packages/ui/src/app/App.js"),
+      settings: monorepoSettings,
+      options: [
+        { project: ["apps/*/tsconfig.json", "packages/*/jsconfig.json"] },
+      ],
+      errors: [{ messageId: "useAlias" }],
+    },
+
+    // Bundler aliases when the tsconfig has none
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@/utils/format";',
+      filename: path.join(VITE_DIR, "src/app/App.js"),
+      settings: { "@tnnquang/eslint": { rootDir: VITE_DIR } },
+      errors: [
+        {
+          messageId: "configAliasesSkipped",
+          data: {
+            configFile: "vite.config.js",
+            aliases: "...aliases, a spread, shared",
+          },
+        },
+        { messageId: "useAlias" },
+      ],
+    },
+
+    // Every import form
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@/utils/format";',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias", data: FORMAT }],
+    },
+    {
+      code: "export * from '../utils/format';\nexport { value } from '../utils/format';",
+      output:
+        "export * from '@/utils/format';\nexport { value } from '@/utils/format';",
+      filename: APP,
+      settings,
+      errors: [
+        { messageId: "useAliasExport" },
+        { messageId: "useAliasExport" },
+      ],
+    },
+    {
+      code: 'const format = import("../utils/format");',
+      output: 'const format = import("@/utils/format");',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: [
+        'import type { Button } from "../components/Button";',
+        'type Format = typeof import("../utils/format");',
+      ].join("\n"),
+      output: [
+        'import type { Button } from "@components/Button";',
+        'type Format = typeof import("@/utils/format");',
+      ].join("\n"),
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }, { messageId: "useAlias" }],
+    },
+    {
+      code: [
+        'const format = require("../utils/format");',
+        'import utils = require("../utils/format");',
+      ].join("\n"),
+      output: [
+        'const format = require("@/utils/format");',
+        'import utils = require("@/utils/format");',
+      ].join("\n"),
+      filename: APP,
+      settings,
+      errors: [
+        { messageId: "useAliasRequire" },
+        { messageId: "useAliasRequire" },
+      ],
+    },
+    {
+      code: [
+        'jest.mock("../utils/format");',
+        "vi.mock(`../utils/format`);",
+        'require.resolve("../utils/format");',
+      ].join("\n"),
+      output: [
+        'jest.mock("@/utils/format");',
+        "vi.mock(`@/utils/format`);",
+        'require.resolve("@/utils/format");',
+      ].join("\n"),
+      filename: file("app/App.test.ts"),
+      settings,
+      errors: [
+        { messageId: "useAliasCall", data: { ...FORMAT, callee: "jest.mock" } },
+        { messageId: "useAliasCall", data: { ...FORMAT, callee: "vi.mock" } },
+        {
+          messageId: "useAliasCall",
+          data: { ...FORMAT, callee: "require.resolve" },
+        },
+      ],
+    },
+    {
+      code: 'load("../utils/format");',
+      output: 'load("@/utils/format");',
+      filename: APP,
+      settings,
+      options: [{ moduleCallNames: ["load"] }],
+      errors: [
+        { messageId: "useAliasCall", data: { ...FORMAT, callee: "load" } },
+      ],
+    },
+
+    // The most specific alias, on path segments
+    {
+      code: 'import { Button } from "../components/Button";',
+      output: 'import { Button } from "@components/Button";',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { Button } from "../components-legacy/Button";',
+      output: 'import { Button } from "@/components-legacy/Button";',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { Button } from "../components/Button";',
+      output: 'import { Button } from "@/components/Button";',
+      filename: APP,
+      settings,
+      options: [{ preferredAliases: ["@/*"] }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../config";',
+      output: 'import { value } from "@config";',
+      filename: APP,
+      settings,
+      options: [{ boundary: "none" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    // Fallback targets of a multi-target mapping
+    {
+      code: 'import { value } from "../legacy/old";',
+      output: 'import { value } from "@shared/old";',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }],
+    },
+    // "@shared/dup" resolves to the first target, src/shared/dup.ts
+    {
+      code: 'import { value } from "../legacy/dup";',
+      filename: APP,
+      settings,
+      errors: [
+        {
+          messageId: "aliasResolvesElsewhere",
+          data: {
+            alias: "@shared/dup",
+            importPath: "../legacy/dup",
+            target: "'src/legacy/dup.ts'",
+            aliasTarget: "'src/shared/dup.ts'",
+          },
+        },
+      ],
+    },
+
+    // Module boundaries
+    {
+      code: 'import { Item } from "@/features/cart/ui/Item";',
+      output: 'import { Item } from "./ui/Item";',
+      filename: CART,
+      settings,
+      options: [{ boundary: { pattern: "src/features/*" } }],
+      errors: [
+        {
+          messageId: "useRelative",
+          data: {
+            relativePath: "./ui/Item",
+            importPath: "@/features/cart/ui/Item",
+            module: "src/features/cart",
+          },
+        },
+      ],
+    },
+    {
+      code: 'import { value } from "@/features/cart/api";',
+      output: 'import { value } from "../api";',
+      filename: file("features/cart/ui/Item.tsx"),
+      settings,
+      options: [{ boundary: { depth: 2 } }],
+      errors: [{ messageId: "useRelative" }],
+    },
+    {
+      code: 'import { Cart } from "../cart/Cart";',
+      output: 'import { Cart } from "@/features/cart/Cart";',
+      filename: file("features/user/User.tsx"),
+      settings,
+      options: [{ boundary: { pattern: "src/features/*" } }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { Cart } from "../features/cart/Cart";',
+      output: 'import { Cart } from "@/features/cart/Cart";',
+      filename: APP,
+      settings,
+      options: [{ mode: "all" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+
+    // Imports that resolve to no file
+    {
+      code: 'import { value } from "../utils/missing";',
+      filename: APP,
+      settings,
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: [
+        'import { value } from "../utils/missing";',
+        'import { other } from "@/utils/missing";',
+      ].join("\n"),
+      filename: APP,
+      settings,
+      options: [{ reportUnresolved: true }],
+      errors: [
+        {
+          messageId: "unresolvedImport",
+          data: { importPath: "../utils/missing" },
+        },
+        {
+          messageId: "unresolvedImport",
+          data: { importPath: "@/utils/missing" },
+        },
+      ],
+    },
+
+    // Extensions and index segments
+    {
+      code: 'import { value } from "../utils/index";',
+      output: 'import { value } from "@/utils";',
+      filename: APP,
+      settings,
+      options: [{ collapseIndex: true }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/format.ts";',
+      output: 'import { value } from "@/utils/format";',
+      filename: APP,
+      settings,
+      options: [{ extensions: "never" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/index";',
+      output: 'import { value } from "@/utils";',
+      filename: APP,
+      settings,
+      options: [{ configFile: "tsconfig.bundler.json" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+    {
+      code: 'import { value } from "../utils/format";',
+      output: 'import { value } from "@/utils/format.js";',
+      filename: APP,
+      settings,
+      options: [{ configFile: "tsconfig.nodenext.json" }],
+      errors: [{ messageId: "useAlias" }],
+    },
+
+    // Conflicting options
+    {
+      code: 'import { Cart } from "../features/cart/Cart";',
+      output: 'import { Cart } from "@/features/cart/Cart";',
+      filename: APP,
+      settings,
+      options: [{ mode: "all", boundary: "none" }],
+      errors: [{ messageId: "invalidConfig" }, { messageId: "useAlias" }],
+    },
+  ],
+});
+
+describe("enforce-path-alias config warnings", () => {
+  const linter = new Linter();
+  linter.defineRule("enforce-path-alias", rule);
+  const config = {
+    parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+    settings: { "@tnnquang/eslint": { rootDir: VITE_DIR } },
+    rules: { "enforce-path-alias": "error" },
+  };
+
+  function getWarnings(fileName) {
+    const { messages } = linter.verifyAndFix(
+      'import { value } from "../utils/format";',
+      config,
+      { filename: path.join(VITE_DIR, "src", fileName) }
+    );
+    return messages.filter((message) =>
+      message.message.startsWith("Could not statically evaluate")
+    );
+  }
+
+  it("are kept when fixes rerun the rule and shown on one file", () => {
+    expect(getWarnings("app/App.js")).toHaveLength(1);
+    expect(getWarnings("app/Other.js")).toHaveLength(0);
+    expect(getWarnings("app/App.js")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,261 @@
+const { RuleTester } = require("@typescript-eslint/rule-tester");
+const rule = require("../../../lib/rules/no-arrow-components");
+
+// JavaScript unless a test names a TypeScript file
+const ruleTester = new RuleTester({
+  defaultFilenames: { ts: "file.js", tsx: "component.jsx" },
+  parserOptions: {
+    ecmaVersion: "latest",
+    sourceType: "module",
+    ecmaFeatures: { jsx: true },
+  },
+});
+
+ruleTester.run("no-arrow-components", rule, {
+  valid: [
+    "function Card() { return <div />; }",
+    "function format(value) { return String(value); }",
+    // Allowed wrappers
+    "const Card = memo(() => <div />);",
+    "const Input = React.forwardRef((props, ref) => <input ref={ref} />);",
+    "const Page = lazy(() => import('./Page'));",
+    "const Title = styled.h1`color: red;`;",
+    {
+      code: "const Card = connect(mapState)(() => <div />);",
+      options: [{ allowedWrappers: ["connect"] }],
+    },
+    {
+      code: "const Card = memo(function Card() { return <div />; });",
+      options: [{ requireNamedFunction: true }],
+    },
+    // Nested and non-function declarations
+    "function App() { const onClick = () => {}; return <button onClick={onClick} />; }",
+    "const API_URL = '/api';",
+    {
+      code: "const format = (value) => String(value);",
+      options: [{ allowArrowFunctions: true }],
+    },
+    // PascalCase functions that are not components
+    {
+      code: "const API = () => fetch(url);",
+      options: [{ allowArrowFunctions: true }],
+    },
+    {
+      code: "const UseData = () => { useEffect(() => {}); };",
+      options: [{ componentDetection: "strict", allowArrowFunctions: true }],
+    },
+    // Named default exports and non-entry files
+    "export default function Page() { return <div />; }",
+    {
+      code: "export default function () { return 1; }",
+      filename: "src/utils/helpers.ts",
+    },
+    {
+      code: "export default function DashboardPage() { return <div />; }",
+      filename: "app/dashboard/page.tsx",
+    },
+    {
+      code: "export default () => 1;",
+      filename: "pages/index.js",
+      options: [{ entryFiles: [] }],
+    },
+    // Exceptions
+    {
+      code: "const useData = () => useQuery(key);",
+      options: [{ ignorePatterns: ["^use"] }],
+    },
+    {
+      code: "const handler: Handler = (req) => req.body;",
+      filename: "file.ts",
+      options: [{ allowTypedArrows: true }],
+    },
+    {
+      code: "const add = (a) => (b) => a + b;",
+      options: [{ allowCurriedArrows: true }],
+    },
+    {
+      code: "const double = (n) => n * 2;",
+      options: [{ allowSingleExpressionArrows: true }],
+    },
+    {
+      code: "export const format = (value) => { return String(value); };",
+      options: [{ allowExportedArrows: true }],
+    },
+    {
+      code: "const format = (value) => { return String(value); };",
+      options: [{ allowPrivateArrows: true }],
+    },
+  ],
+  invalid: [
+    // Autofix to function declarations
+    {
+      code: "const Card = () => {\n  return <div />;\n};",
+      output: "function Card() {\n  return <div />;\n}",
+      errors: [
+        { messageId: "arrowComponent", data: { name: "Card", note: "" } },
+      ],
+    },
+    {
+      code: "const Card = () => <div />;",
+      output: "function Card() {\n  return <div />;\n}",
+      errors: [{ messageId: "arrowComponent" }],
+    },
+    {
+      code: "export const load = async (id) => {\n  return fetch(id);\n};",
+      output: "export async function load(id) {\n  return fetch(id);\n}",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    {
+      code: "const Card = function () {\n  return <div />;\n};",
+      output: "function Card() {\n  return <div />;\n}",
+      errors: [{ messageId: "arrowComponent" }],
+    },
+    {
+      code: "const first = <T,>(items: T[]): T => items[0];",
+      output: "function first<T>(items: T[]): T {\n  return items[0];\n}",
+      filename: "file.tsx",
+      errors: [{ messageId: "tsArrowFunction" }],
+    },
+    {
+      code: "const greet = (name = 'you') => `hi ${name}`;",
+      output: "function greet(name = 'you') {\n  return `hi ${name}`;\n}",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    {
+      code: "// Shows a card\nconst Card = () => <div />;",
+      output: "// Shows a card\nfunction Card() {\n  return <div />;\n}",
+      errors: [{ messageId: "arrowComponent" }],
+    },
+    {
+      code: [
+        "export const Card: React.FC<CardProps> = ({ title }) => <h2>{title}</h2>;",
+      ].join("\n"),
+      output: [
+        "export function Card({ title }: CardProps) {",
+        "  return <h2>{title}</h2>;",
+        "}",
+      ].join("\n"),
+      filename: "file.tsx",
+      errors: [{ messageId: "tsArrowComponent" }],
+    },
+    {
+      code: "const f = async () => ({ ok: true });",
+      output: "async function f() {\n  return ({ ok: true });\n}",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    // Not fixed when converting could change behavior or lose code
+    {
+      code: "const getThis = () => this;",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    {
+      code: "render(Card);\nconst Card = () => <div />;",
+      errors: [{ messageId: "arrowComponent" }],
+    },
+    {
+      code: "let format = (v) => v;\nformat = null;",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    {
+      code: "const a = () => 1, b = () => 2;",
+      errors: [
+        { messageId: "arrowFunction", data: { name: "a", note: "" } },
+        { messageId: "arrowFunction", data: { name: "b", note: "" } },
+      ],
+    },
+    {
+      code: "const format = (v /* raw */) => /* value */ v;",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+
+    // Component detection
+    {
+      code: "const Card = ({ on }) => { if (on) { return <div />; } return null; };",
+      errors: [{ messageId: "arrowComponent" }],
+      output:
+        "function Card({ on }) { if (on) { return <div />; } return null; }",
+    },
+    {
+      code: "const Counter = () => { const [n] = useState(0); return n; };",
+      output: "function Counter() { const [n] = useState(0); return n; }",
+      errors: [{ messageId: "arrowComponent" }],
+    },
+    {
+      code: "const API = () => fetch(url);",
+      output: "function API() {\n  return fetch(url);\n}",
+      errors: [{ messageId: "arrowFunction" }],
+    },
+    {
+      code: "const API = () => fetch(url);",
+      output: "function API() {\n  return fetch(url);\n}",
+      options: [{ componentDetection: "name" }],
+      errors: [{ messageId: "arrowComponent" }],
+    },
+
+    // Wrappers
+    {
+      code: "const Card = withTheme(() => <div />);",
+      errors: [{ messageId: "unknownWrapper" }],
+    },
+    {
+      code: "const Card = memo(() => <div />);",
+      options: [{ requireNamedFunction: true }],
+      errors: [{ messageId: "anonymousWrappedComponent" }],
+    },
+    {
+      // Declarators after the first component are still checked
+      code: "const Card = memo(() => <div />);\nconst List = () => <ul />;",
+      output:
+        "const Card = memo(() => <div />);\nfunction List() {\n  return <ul />;\n}",
+      errors: [
+        { messageId: "arrowComponent", data: { name: "List", note: "" } },
+      ],
+    },
+
+    // Default exports and entry files
+    {
+      code: "export default () => <div />;",
+      errors: [{ messageId: "arrowDefaultExport" }],
+    },
+    {
+      code: "export default memo(() => <div />);",
+      filename: "app/dashboard/page.tsx",
+      errors: [{ messageId: "anonymousWrappedComponent" }],
+    },
+    {
+      code: "export default () => 1;",
+      filename: "pages/index.js",
+      errors: [{ messageId: "unnamedEntryExport" }],
+    },
+
+    // Exceptions explain why they did not apply
+    {
+      code: "const double = (n) =>\n  n * 2;",
+      output: "function double(n) {\n  return n * 2;\n}",
+      options: [{ allowSingleExpressionArrows: true }],
+      errors: [
+        {
+          messageId: "arrowFunction",
+          data: {
+            name: "double",
+            note: " (allowSingleExpressionArrows only covers arrows on one line)",
+          },
+        },
+      ],
+    },
+    {
+      code: "const Card = () => <div />;",
+      output: "function Card() {\n  return <div />;\n}",
+      options: [{ ignorePatterns: ["(unclosed", "^Foo$"] }],
+      errors: [{ messageId: "invalidConfig" }, { messageId: "arrowComponent" }],
+    },
+
+    // A framework setting does not turn an enabled rule off
+    {
+      code: "const Card = () => <div />;",
+      output: "function Card() {\n  return <div />;\n}",
+      settings: { "@tnnquang/eslint": { framework: "vue" } },
+      errors: [{ messageId: "invalidConfig" }, { messageId: "arrowComponent" }],
+    },
+  ],
+});
@@ -0,0 +1,389 @@
+const path = require("path");
+const { RuleTester } = require("@typescript-eslint/rule-tester");
+const rule = require("../../../lib/rules/no-namespace-import");
+
+const ruleTester = new RuleTester({
+  parserOptions: {
+    ecmaVersion: "latest",
+    sourceType: "module",
+    ecmaFeatures: { jsx: true },
+  },
+});
+
+// Files next to a node_modules with packages whose exports are known
+const PACKAGES_DIR = path.join(__dirname, "../../fixtures/packages/src");
+
+ruleTester.run("no-namespace-import", rule, {
+  valid: [
+    // Named imports are what the rule asks for
+    'import { map } from "lodash"; map(items, fn);',
+    // Default import used as a value only
+    'import moment from "moment"; moment();',
+    // Allowed and non-target libraries
+    {
+      code: 'import * as THREE from "three"; new THREE.Scene();',
+      options: [{ allowedLibraries: ["three"] }],
+    },
+    {
+      code: 'import _ from "lodash"; _.map(items, fn);',
+      options: [{ targetLibraries: ["date-fns"] }],
+    },
+    // Shadowed names are other bindings
+    'import _ from "lodash"; function f(_) { return _.map(items, fn); }',
+    // Members that cannot be imported by name
+    'import _ from "lodash"; _[key](items);',
+    'import config from "config"; config.default;',
+    'import store from "store"; store.count = 1;',
+    // Type namespaces when they are allowed
+    {
+      code: 'import type * as T from "react"; let a: T.FC;',
+      filename: "file.ts",
+      options: [{ allowTypeNamespaces: true }],
+    },
+    // Type positions of require() bindings are left alone
+    {
+      code: 'const React = require("react"); let a: React.FC;',
+      filename: "file.ts",
+    },
+  ],
+  invalid: [
+    // `import * as X` namespace imports
+    {
+      code: 'import * as _ from "lodash";\n_.map(items, fn);',
+      output: 'import { map } from "lodash";\nmap(items, fn);',
+      errors: [
+        { messageId: "noNamespaceImport" },
+        { messageId: "noNamespaceImportUsage" },
+      ],
+    },
+    {
+      code: 'import * as utils from "utils";\nconsole.log(utils);',
+      errors: [
+        {
+          messageId: "namespaceUsedAsValue",
+          data: {
+            importName: "utils",
+            libraryName: "utils",
+            usage: "passed to a function",
+            line: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: 'import * as Icons from "icons";\nconst a = <Icons />;',
+      errors: [{ messageId: "namespaceUsedAsValue" }],
+    },
+
+    // Scope-aware references, computed and optional members, JSX
+    {
+      code: [
+        'import _ from "lodash";',
+        "_.map(items, fn);",
+        "function f(_) { return _.filter(items, fn); }",
+      ].join("\n"),
+      output: [
+        'import { map } from "lodash";',
+        "map(items, fn);",
+        "function f(_) { return _.filter(items, fn); }",
+      ].join("\n"),
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import _ from "lodash";\n_["map"](items);\n_?.filter(items);',
+      output:
+        'import { map, filter } from "lodash";\nmap(items);\nfilter(items);',
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import Form from "antd";\nconst a = <Form.Item />;',
+      output: 'import { Item } from "antd";\nconst a = <Item />;',
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+
+    // Collision-safe, non-destructive fixes
+    {
+      code: [
+        'import lodash from "lodash";',
+        "const map = new Map();",
+        "lodash.map(items, fn);",
+      ].join("\n"),
+      output: [
+        'import { map as lodashMap } from "lodash";',
+        "const map = new Map();",
+        "lodashMap(items, fn);",
+      ].join("\n"),
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import moment from "moment";\nmoment();\nmoment.utc();',
+      output: 'import moment, { utc } from "moment";\nmoment();\nutc();',
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: [
+        "import _, { filter as f } from 'lodash'; // utilities",
+        "_.map(items);",
+        "_.filter(items);",
+      ].join("\n"),
+      output: [
+        "import { filter as f, map } from 'lodash'; // utilities",
+        "map(items);",
+        "f(items);",
+      ].join("\n"),
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: '/** @jsx h */\nimport h from "preact";\nh.render(app);',
+      output:
+        '/** @jsx h */\nimport h, { render } from "preact";\nrender(app);',
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    // The classic JSX runtime needs `React` in files with JSX
+    {
+      code: [
+        'import React from "react";',
+        "export function App() {",
+        "  const [a] = React.useState(0);",
+        "  return <div>{a}</div>;",
+        "}",
+      ].join("\n"),
+      output: [
+        'import React, { useState } from "react";',
+        "export function App() {",
+        "  const [a] = useState(0);",
+        "  return <div>{a}</div>;",
+        "}",
+      ].join("\n"),
+      filename: "app.jsx",
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import Preact from "preact";\nPreact.render(<div />);',
+      output: 'import Preact, { render } from "preact";\nrender(<div />);',
+      settings: { react: { pragma: "Preact" } },
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import React from "react";\nexport const v = React.version;',
+      output: 'import { version } from "react";\nexport const v = version;',
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+
+    // Only real named exports are fixed
+    {
+      code: 'import lib from "fake-lib";\nlib.parse(a);\nlib.missing(b);',
+      output:
+        'import lib, { parse } from "fake-lib";\nparse(a);\nlib.missing(b);',
+      filename: path.join(PACKAGES_DIR, "file.js"),
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+        {
+          messageId: "notNamedExport",
+          suggestions: [
+            {
+              messageId: "importAnyway",
+              output:
+                'import lib, { missing } from "fake-lib";\nlib.parse(a);\nmissing(b);',
+            },
+          ],
+        },
+      ],
+    },
+
+    // TypeScript qualified type references
+    {
+      code: 'import React from "react";\nlet a: React.FC;',
+      output: 'import type { FC } from "react";\nlet a: FC;',
+      filename: "file.ts",
+      errors: [
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noTypeNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import type React from "react";\nlet a: React.FC;',
+      output: 'import type { FC } from "react";\nlet a: FC;',
+      filename: "file.ts",
+      errors: [
+        { messageId: "noDefaultTypeImportForNamespace" },
+        { messageId: "noTypeNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import type * as T from "react";\nlet a: T.FC;',
+      output: 'import type { FC } from "react";\nlet a: FC;',
+      filename: "file.ts",
+      errors: [
+        { messageId: "noNamespaceTypeImport" },
+        { messageId: "noTypeNamespaceUsage" },
+      ],
+    },
+    {
+      code: [
+        'import * as z from "zod";',
+        "const s = z.object({ a: z.string() });",
+        "type S = z.infer<typeof s>;",
+      ].join("\n"),
+      output: [
+        'import { object, string, type infer as zodInfer } from "zod";',
+        "const s = object({ a: string() });",
+        "type S = zodInfer<typeof s>;",
+      ].join("\n"),
+      filename: "file.ts",
+      errors: [
+        { messageId: "noNamespaceImport" },
+        { messageId: "noNamespaceImportUsage" },
+        { messageId: "noNamespaceImportUsage" },
+        { messageId: "noTypeNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'import * as z from "zod";\nlet a: z.string;\nz.string();',
+      output:
+        'import { string as zodString } from "zod";\nlet a: zodString;\nzodString();',
+      filename: "file.ts",
+      errors: [
+        { messageId: "noNamespaceImport" },
+        { messageId: "noTypeNamespaceUsage" },
+        { messageId: "noNamespaceImportUsage" },
+      ],
+    },
+
+    // CommonJS require() namespaces
+    {
+      code: 'const _ = require("lodash");\n_.map(items, fn);',
+      output: 'const { map } = require("lodash");\nmap(items, fn);',
+      errors: [
+        { messageId: "noRequireNamespace" },
+        { messageId: "noRequireNamespaceUsage" },
+      ],
+    },
+    {
+      code: 'const moment = require("moment");\nmoment();\nmoment.utc();',
+      output:
+        'const moment = require("moment");\nconst { utc } = require("moment");\nmoment();\nutc();',
+      errors: [
+        { messageId: "noRequireNamespace" },
+        { messageId: "noRequireNamespaceUsage" },
+      ],
+    },
+
+    // Rewrites to per-member modules
+    {
+      code: 'import _ from "lodash";\n_.map(items, fn);',
+      output: 'import map from "lodash/map";\nmap(items, fn);',
+      options: [{ rewritePresets: ["lodash"] }],
+      errors: [
+        { messageId: "noNamespaceRewrite" },
+        { messageId: "noNamespaceUsageRewrite" },
+      ],
+    },
+    {
+      code: 'import * as dates from "date-fns";\ndates.format(d, "y");',
+      output: 'import { format } from "date-fns/format";\nformat(d, "y");',
+      options: [{ rewritePresets: ["date-fns"] }],
+      errors: [
+        { messageId: "noNamespaceRewrite" },
+        { messageId: "noNamespaceUsageRewrite" },
+      ],
+    },
+    // Members without a module of their own are only suggested
+    {
+      code: [
+        'import _ from "lodash";',
+        "_.map(items);",
+        "console.log(_.VERSION);",
+      ].join("\n"),
+      output: [
+        'import _ from "lodash";',
+        'import map from "lodash/map";',
+        "map(items);",
+        "console.log(_.VERSION);",
+      ].join("\n"),
+      filename: path.join(PACKAGES_DIR, "file.js"),
+      options: [{ rewritePresets: ["lodash"] }],
+      errors: [
+        { messageId: "noNamespaceRewrite" },
+        { messageId: "noNamespaceUsageRewrite" },
+        {
+          messageId: "rewriteModuleNotFound",
+          data: {
+            objectName: "_",
+            propertyName: "VERSION",
+            libraryName: "lodash/VERSION",
+          },
+          suggestions: [
+            {
+              messageId: "importFromModuleAnyway",
+              output: [
+                'import _ from "lodash";',
+                'import VERSION from "lodash/VERSION";',
+                "_.map(items);",
+                "console.log(VERSION);",
+              ].join("\n"),
+            },
+          ],
+        },
+      ],
+    },
+
+    // Settings problems and conflicting options
+    {
+      code: 'import _ from "lodash";\n_.map(items);',
+      options: [{ allowedLibraries: ["lodash"], targetLibraries: ["lodash"] }],
+      errors: [
+        {
+          messageId: "invalidConfig",
+          data: {
+            problem:
+              'no-namespace-import never checks "lodash" because it is in both "allowedLibraries" and "targetLibraries"',
+          },
+        },
+      ],
+    },
+    {
+      code: 'import _ from "lodash";\n_.map(items);',
+      output: 'import { map } from "lodash";\nmap(items);',
+      settings: { "@tnnquang/eslint": { targetLibraries: "lodash" } },
+      errors: [
+        { messageId: "invalidConfig" },
+        { messageId: "noDefaultImportForNamespace" },
+        { messageId: "noNamespaceUsage" },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  findProjectConfig,
+  resolveAliasConfig,
+} = require("../../../lib/utils/alias-resolver");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/monorepo");
+
+function fixture(fileName) {
+  return path.join(FIXTURE_DIR, fileName);
+}
+
+const WEB_FILE = fixture("apps/web/src/app/App.ts");
+const UI_FILE = fixture("packages/ui/src/app/App.js");
+const TOOLS_FILE = fixture("tools/build.ts");
+
+function findConfig(filename, project) {
+  return findProjectConfig({
+    cwd: FIXTURE_DIR,
+    filename,
+    project,
+    configFile: "tsconfig.json",
+  });
+}
+
+describe("findProjectConfig", () => {
+  it("uses configFile under the cwd without project", () => {
+    expect(findConfig(WEB_FILE)).toBe(fixture("tsconfig.json"));
+  });
+
+  it('walks up to the closest tsconfig or jsconfig with "nearest"', () => {
+    expect(findConfig(WEB_FILE, "nearest")).toBe(
+      fixture("apps/web/tsconfig.json")
+    );
+    expect(findConfig(UI_FILE, "nearest")).toBe(
+      fixture("packages/ui/jsconfig.json")
+    );
+    expect(findConfig(TOOLS_FILE, "nearest")).toBe(fixture("tsconfig.json"));
+  });
+
+  it("picks the deepest config matching the globs that contains the file", () => {
+    const project = ["**/tsconfig.json", "packages/*/jsconfig.json"];
+    expect(findConfig(WEB_FILE, project)).toBe(
+      fixture("apps/web/tsconfig.json")
+    );
+    expect(findConfig(UI_FILE, project)).toBe(
+      fixture("packages/ui/jsconfig.json")
+    );
+    expect(findConfig(TOOLS_FILE, "apps/*/tsconfig.json")).toBeNull();
+  });
+});
+
+describe("resolveAliasConfig", () => {
+  function resolve(filename, project) {
+    return resolveAliasConfig({
+      cwd: FIXTURE_DIR,
+      filename,
+      project,
+      configFile: "tsconfig.json",
+      fallbackBaseUrl: "./src",
+      supportedExtensions: [".js", ".ts"],
+      isTypeScript: filename.endsWith(".ts"),
+    });
+  }
+
+  it("resolves aliases against the package of the linted file", () => {
+    const web = resolve(WEB_FILE, "nearest");
+    expect(web.projectRoot).toBe(fixture("apps/web"));
+    expect(web.baseUrl).toBe("./src");
+    expect(web.groups).toEqual([
+      { paths: { "@/*": ["./src/*"] }, basePath: fixture("apps/web") },
+    ]);
+
+    const ui = resolve(UI_FILE, "nearest");
+    expect(ui.projectRoot).toBe(fixture("packages/ui"));
+    expect(ui.groups).toEqual([
+      { paths: { "@ui/*": ["./src/*"] }, basePath: fixture("packages/ui") },
+    ]);
+  });
+
+  it("keeps the cwd as project root without project", () => {
+    const result = resolve(WEB_FILE);
+    expect(result.projectRoot).toBe(FIXTURE_DIR);
+    expect(result.groups).toEqual([
+      { paths: { "@root/*": ["./tools/*"] }, basePath: FIXTURE_DIR },
+    ]);
+  });
+});
+
+describe("resolveAliasConfig caching", () => {
+  let dir;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tnnquang-aliases-"));
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function resolve() {
+    return resolveAliasConfig({
+      cwd: dir,
+      filename: path.join(dir, "src/app/App.ts"),
+      configFile: "tsconfig.json",
+      fallbackBaseUrl: "./src",
+      supportedExtensions: [".js", ".ts"],
+      isTypeScript: true,
+    });
+  }
+
+  it("picks up a bundler config created after the first lookup", () => {
+    fs.writeFileSync(
+      path.join(dir, "tsconfig.json"),
+      JSON.stringify({ compilerOptions: { baseUrl: "./src" } })
+    );
+    expect(resolve().groups).toEqual([]);
+
+    fs.writeFileSync(
+      path.join(dir, "vite.config.js"),
+      'export default { resolve: { alias: { "@": "./src" } } };'
+    );
+    now += 1000;
+    expect(resolve().groups).toEqual([
+      expect.objectContaining({
+        paths: {
+          "@": [path.join(dir, "src")],
+          "@/*": [path.join(dir, "src/*")],
+        },
+      }),
+    ]);
+  });
+});
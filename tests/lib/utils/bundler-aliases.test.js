@@ -0,0 +1,119 @@
+const path = require("path");
+const { findBundlerAliases } = require("../../../lib/utils/bundler-aliases");
+
+const FIXTURES_DIR = path.join(__dirname, "../../fixtures/bundlers");
+
+function findAliases(dirName) {
+  return findBundlerAliases(path.join(FIXTURES_DIR, dirName));
+}
+
+// Paths of the single alias group found under a fixture, relative to it
+function getPaths(dirName) {
+  const { groups } = findAliases(dirName);
+  expect(groups).toHaveLength(1);
+
+  const dir = path.join(FIXTURES_DIR, dirName);
+  const paths = {};
+  for (const [key, targets] of Object.entries(groups[0].paths)) {
+    paths[key] = targets.map((target) =>
+      path.relative(dir, target).replace(/\\/g, "/")
+    );
+  }
+  return paths;
+}
+
+describe("findBundlerAliases", () => {
+  it("reads Vite aliases built with fileURLToPath(new URL(...))", () => {
+    expect(getPaths("vite")).toEqual({
+      "@": ["src"],
+      "@/*": ["src/*"],
+      components: ["src/components"],
+      "components/*": ["src/components/*"],
+    });
+    expect(findAliases("vite").groups[0].configPath).toBe(
+      path.join(FIXTURES_DIR, "vite/vite.config.ts")
+    );
+  });
+
+  it("reads the Vite array form and skips regular expressions", () => {
+    expect(getPaths("vite-array")).toEqual({
+      "~": ["src"],
+      "~/*": ["src/*"],
+      "#lib": ["src/lib"],
+      "#lib/*": ["src/lib/*"],
+    });
+    expect(findAliases("vite-array").warnings).toEqual([
+      {
+        configPath: path.join(FIXTURES_DIR, "vite-array/vite.config.js"),
+        aliases: ["/^@icons\\/(.*)/"],
+      },
+    ]);
+  });
+
+  it("reads webpack resolve.alias with exact `$` keys", () => {
+    // Package targets and `false` are not paths
+    expect(getPaths("webpack")).toEqual({
+      "@": ["src"],
+      "@/*": ["src/*"],
+      config: ["src/config.js"],
+    });
+  });
+
+  it("reads @rollup/plugin-alias entries", () => {
+    expect(getPaths("rollup")).toEqual({
+      utils: ["src/utils"],
+      "utils/*": ["src/utils/*"],
+    });
+  });
+
+  it("reads babel-plugin-module-resolver aliases", () => {
+    expect(getPaths("babel")).toEqual({
+      "@app": ["src/app"],
+      "@app/*": ["src/app/*"],
+    });
+    expect(findAliases("babel").warnings).toEqual([
+      {
+        configPath: path.join(FIXTURES_DIR, "babel/babel.config.json"),
+        aliases: ["^@feature/(.+)"],
+      },
+    ]);
+  });
+
+  it("reads package.json imports with their conditions", () => {
+    expect(getPaths("package-imports")).toEqual({
+      "#utils/*": ["src/utils/*.js"],
+      "#config": ["src/config.d.ts"],
+    });
+  });
+
+  it("warns about aliases that cannot be evaluated statically", () => {
+    expect(getPaths("dynamic")).toEqual({ "@": ["src"], "@/*": ["src/*"] });
+    expect(findAliases("dynamic").warnings).toEqual([
+      {
+        configPath: path.join(FIXTURES_DIR, "dynamic/vite.config.js"),
+        aliases: ["...aliases", "a spread", "shared"],
+      },
+    ]);
+  });
+
+  it("reports config files that cannot be parsed", () => {
+    const configPath = path.join(FIXTURES_DIR, "unparseable/vite.config.js");
+    const result = findAliases("unparseable");
+
+    expect(result.groups).toEqual([]);
+    expect(result.warnings).toEqual([
+      { configPath, reason: expect.any(String) },
+    ]);
+    expect(result.errors).toEqual([
+      expect.stringContaining(`Could not parse ${configPath}`),
+    ]);
+  });
+
+  it("finds nothing without configs", () => {
+    expect(findAliases("missing")).toMatchObject({
+      groups: [],
+      warnings: [],
+      errors: [],
+    });
+  });
+});
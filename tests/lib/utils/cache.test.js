@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCache } = require("../../../lib/utils/cache");
+
+describe("createCache", () => {
+  let dir;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tnnquang-cache-"));
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // compute() that counts its calls and depends on `dependencies`
+  function createCompute(dependencies) {
+    const compute = () => {
+      compute.calls++;
+      return { value: compute.calls, dependencies };
+    };
+    compute.calls = 0;
+    return compute;
+  }
+
+  // Give a file an mtime that differs from any it had
+  function touch(filePath, seconds) {
+    fs.writeFileSync(filePath, String(seconds));
+    fs.utimesSync(filePath, seconds, seconds);
+  }
+
+  it("computes a value once per key", () => {
+    const cache = createCache("test");
+    const compute = createCompute([]);
+
+    expect(cache.get("a", compute)).toMatchObject({ value: 1, hit: false });
+    expect(cache.get("a", compute)).toMatchObject({ value: 1, hit: true });
+    expect(cache.get("b", compute)).toMatchObject({ value: 2, hit: false });
+    expect(cache.stats).toEqual({ hits: 1, misses: 2 });
+    expect(cache.get("a", compute).duration).toEqual(expect.any(Number));
+  });
+
+  it("recomputes once a dependency changes", () => {
+    const configPath = path.join(dir, "tsconfig.json");
+    touch(configPath, 1000);
+    const cache = createCache("test");
+    const compute = createCompute([configPath]);
+
+    cache.get("a", compute);
+    touch(configPath, 2000);
+
+    // Dependencies are only checked once a second
+    expect(cache.get("a", compute).value).toBe(1);
+    now += 1000;
+    expect(cache.get("a", compute)).toMatchObject({ value: 2, hit: false });
+    now += 1000;
+    expect(cache.get("a", compute)).toMatchObject({ value: 2, hit: true });
+  });
+
+  it("recomputes once a missing dependency is created", () => {
+    const configPath = path.join(dir, "vite.config.js");
+    const cache = createCache("test");
+    const compute = createCompute([configPath]);
+
+    cache.get("a", compute);
+    now += 1000;
+    expect(cache.get("a", compute).hit).toBe(true);
+
+    touch(configPath, 1000);
+    now += 1000;
+    expect(cache.get("a", compute)).toMatchObject({ value: 2, hit: false });
+  });
+
+  it("clears entries and stats", () => {
+    const cache = createCache("test");
+    const compute = createCompute([]);
+
+    cache.get("a", compute);
+    cache.clear();
+    expect(cache.stats).toEqual({ hits: 0, misses: 0 });
+    expect(cache.get("a", compute)).toMatchObject({ value: 2, hit: false });
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { detectFrameworks } = require("../../../lib/utils/frameworks");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/frameworks");
+
+function fixture(fileName) {
+  return path.join(FIXTURE_DIR, fileName);
+}
+
+describe("detectFrameworks", () => {
+  it("reads every dependency field of the nearest package.json", () => {
+    expect(detectFrameworks(fixture("react-app"))).toEqual({
+      packageJsonPath: fixture("react-app/package.json"),
+      frameworks: ["react", "vue"],
+      error: null,
+      workspaces: [],
+    });
+  });
+
+  it("detects each workspace, without the excluded ones", () => {
+    const { frameworks, workspaces } = detectFrameworks(fixture("workspaces"));
+
+    expect(frameworks).toEqual([]);
+    expect(workspaces).toEqual([
+      {
+        dir: fixture("workspaces/apps/admin"),
+        packageJsonPath: fixture("workspaces/apps/admin/package.json"),
+        frameworks: ["vue"],
+        error: null,
+      },
+      {
+        dir: fixture("workspaces/apps/web"),
+        packageJsonPath: fixture("workspaces/apps/web/package.json"),
+        frameworks: ["react", "nextjs"],
+        error: null,
+      },
+    ]);
+  });
+
+  it("reads the packages of pnpm-workspace.yaml", () => {
+    const { workspaces } = detectFrameworks(fixture("pnpm"));
+
+    expect(workspaces).toEqual([
+      expect.objectContaining({
+        dir: fixture("pnpm/packages/ui"),
+        frameworks: ["solid"],
+      }),
+    ]);
+  });
+
+  describe("with a package.json that cannot be parsed", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "tnnquang-frameworks-"));
+      fs.writeFileSync(
+        path.join(dir, "package.json"),
+        JSON.stringify({ workspaces: ["packages/*"] })
+      );
+      fs.mkdirSync(path.join(dir, "packages/broken"), { recursive: true });
+      fs.writeFileSync(path.join(dir, "packages/broken/package.json"), "{,}");
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("reports the error and detects nothing from it", () => {
+      const brokenDir = path.join(dir, "packages/broken");
+
+      expect(detectFrameworks(dir).workspaces).toEqual([
+        {
+          dir: brokenDir,
+          packageJsonPath: path.join(brokenDir, "package.json"),
+          frameworks: [],
+          error: expect.any(String),
+        },
+      ]);
+      expect(detectFrameworks(brokenDir)).toEqual({
+        packageJsonPath: path.join(brokenDir, "package.json"),
+        frameworks: [],
+        error: expect.any(String),
+        workspaces: [],
+      });
+    });
+  });
+});
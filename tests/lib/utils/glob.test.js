@@ -0,0 +1,62 @@
+const path = require("path");
+const { matchesGlob, expandGlobs } = require("../../../lib/utils/glob");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/monorepo");
+
+describe("matchesGlob", () => {
+  it("matches * and ? within one path segment", () => {
+    expect(matchesGlob("src/index.ts", "src/*.ts")).toBe(true);
+    expect(matchesGlob("src/a/index.ts", "src/*.ts")).toBe(false);
+    expect(matchesGlob("src/a.ts", "src/?.ts")).toBe(true);
+    expect(matchesGlob("src/ab.ts", "src/?.ts")).toBe(false);
+  });
+
+  it("matches ** across any number of directories", () => {
+    expect(matchesGlob("dist", "**/dist")).toBe(true);
+    expect(matchesGlob("apps/web/dist", "**/dist")).toBe(true);
+    expect(matchesGlob("apps/web/dist/index.js", "apps/**")).toBe(true);
+    expect(matchesGlob("apps/web/distribution", "**/dist")).toBe(false);
+  });
+
+  it("matches {a,b} alternatives", () => {
+    expect(matchesGlob("apps/web", "{apps,packages}/*")).toBe(true);
+    expect(matchesGlob("packages/ui", "{apps,packages}/*")).toBe(true);
+    expect(matchesGlob("tools/build", "{apps,packages}/*")).toBe(false);
+  });
+
+  it("treats other characters literally", () => {
+    expect(matchesGlob("src/a+b.ts", "src/a+b.ts")).toBe(true);
+    expect(matchesGlob("src/aab.ts", "src/a+b.ts")).toBe(false);
+  });
+});
+
+describe("expandGlobs", () => {
+  it("returns the sorted files matching any pattern", () => {
+    expect(
+      expandGlobs(
+        ["packages/*/jsconfig.json", "apps/*/tsconfig.json"],
+        FIXTURE_DIR
+      )
+    ).toEqual([
+      path.join(FIXTURE_DIR, "apps/web/tsconfig.json"),
+      path.join(FIXTURE_DIR, "packages/ui/jsconfig.json"),
+    ]);
+  });
+
+  it("searches every directory for **", () => {
+    expect(expandGlobs(["**/tsconfig.json"], FIXTURE_DIR)).toEqual([
+      path.join(FIXTURE_DIR, "apps/web/tsconfig.json"),
+      path.join(FIXTURE_DIR, "tsconfig.json"),
+    ]);
+  });
+
+  it("records the directories it listed", () => {
+    const visitedDirs = new Set();
+    expandGlobs(["apps/*/tsconfig.json"], FIXTURE_DIR, visitedDirs);
+    expect(visitedDirs).toContain(path.join(FIXTURE_DIR, "apps"));
+  });
+
+  it("returns nothing for paths that do not exist", () => {
+    expect(expandGlobs(["missing/*.json"], FIXTURE_DIR)).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+const { parseJsonc } = require("../../../lib/utils/jsonc");
+
+describe("parseJsonc", () => {
+  it("ignores comments and trailing commas", () => {
+    const text = [
+      "{",
+      "  // Line comment",
+      '  "a": [1, 2,], /* block',
+      "     comment */",
+      '  "b": { "c": true, },',
+      "}",
+    ].join("\n");
+    expect(parseJsonc(text)).toEqual({ a: [1, 2], b: { c: true } });
+  });
+
+  it("keeps comment-like text and commas inside strings", () => {
+    const text = '{ "url": "https://example.com/*", "list": "a,}" }';
+    expect(parseJsonc(text)).toEqual({
+      url: "https://example.com/*",
+      list: "a,}",
+    });
+  });
+
+  it("handles escaped quotes and a byte order mark", () => {
+    expect(
+      parseJsonc('\uFEFF{ "a": "say \\"hi\\" // not a comment" }')
+    ).toEqual({
+      a: 'say "hi" // not a comment',
+    });
+  });
+
+  it("throws on invalid JSON", () => {
+    expect(() => parseJsonc('{ "a": }')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,51 @@
+const { Linter } = require("eslint");
+const noNamespaceImport = require("../../../lib/rules/no-namespace-import");
+const noArrowComponents = require("../../../lib/rules/no-arrow-components");
+
+const INVALID_SETTING =
+  'Invalid @tnnquang/eslint configuration: settings["@tnnquang/eslint"].targetLibraries must be an array of strings, so it is ignored.';
+
+describe("reportConfigProblems", () => {
+  let linter;
+  let config;
+
+  beforeEach(() => {
+    linter = new Linter();
+    linter.defineRule(
+      "@tnnquang/eslint/no-namespace-import",
+      noNamespaceImport
+    );
+    linter.defineRule(
+      "@tnnquang/eslint/no-arrow-components",
+      noArrowComponents
+    );
+    config = {
+      parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+      settings: { "@tnnquang/eslint": { targetLibraries: "lodash" } },
+      rules: {
+        "@tnnquang/eslint/no-namespace-import": "error",
+        "@tnnquang/eslint/no-arrow-components": "error",
+      },
+    };
+  });
+
+  function getProblems(code, filename) {
+    return linter
+      .verifyAndFix(code, config, { filename })
+      .messages.filter((message) => message.message === INVALID_SETTING);
+  }
+
+  it("keeps the problem when fixes rerun the rules", () => {
+    const code = 'import _ from "lodash";\n_.map(items);';
+    const problems = getProblems(code, "a.js");
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0].ruleId).toBe("@tnnquang/eslint/no-namespace-import");
+  });
+
+  it("reports a problem on the first file linted with a configuration", () => {
+    expect(getProblems("const a = 1;", "a.js")).toHaveLength(1);
+    expect(getProblems("const a = 1;", "a.js")).toHaveLength(1);
+    expect(getProblems("const a = 1;", "b.js")).toHaveLength(0);
+  });
+});
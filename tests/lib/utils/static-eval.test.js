@@ -0,0 +1,117 @@
+const path = require("path");
+const {
+  UNKNOWN,
+  ALIAS_PLUGIN,
+  UNKNOWN_SPREADS,
+  parseModuleSource,
+  createEvaluator,
+} = require("../../../lib/utils/static-eval");
+
+const CONFIG_DIR = path.join(__dirname, "project");
+
+// The config a bundler would load from `code`
+function evaluateConfig(code, fileName = "vite.config.js") {
+  const filePath = path.join(CONFIG_DIR, fileName);
+  const evaluator = createEvaluator(
+    parseModuleSource(code, filePath),
+    filePath
+  );
+  return evaluator.unwrapConfig(evaluator.evaluateExport());
+}
+
+describe("createEvaluator", () => {
+  it("evaluates object literals behind defineConfig and variables", () => {
+    const config = evaluateConfig(`
+      import { defineConfig } from "vite";
+      const alias = { "@": "./src" };
+      export default defineConfig({ resolve: { alias } });
+    `);
+    expect(config).toEqual({ resolve: { alias: { "@": "./src" } } });
+  });
+
+  it("evaluates config functions of the env", () => {
+    const config = evaluateConfig(`
+      export default ({ mode }) => ({ resolve: { alias: { "@": "./src" } } });
+    `);
+    expect(config.resolve.alias).toEqual({ "@": "./src" });
+  });
+
+  it("evaluates path helpers and __dirname", () => {
+    const config = evaluateConfig(
+      `
+      const path = require("node:path");
+      module.exports = {
+        a: path.resolve(__dirname, "src"),
+        b: path.join(__dirname, "src", "lib"),
+        c: __dirname + "/src",
+        d: \`\${__dirname}/src\`,
+      };
+    `,
+      "webpack.config.js"
+    );
+    expect(config).toEqual({
+      a: path.join(CONFIG_DIR, "src"),
+      b: path.join(CONFIG_DIR, "src/lib"),
+      c: `${CONFIG_DIR}/src`,
+      d: `${CONFIG_DIR}/src`,
+    });
+  });
+
+  it("evaluates fileURLToPath(new URL(..., import.meta.url))", () => {
+    const config = evaluateConfig(`
+      import { fileURLToPath, URL } from "node:url";
+      export default {
+        src: fileURLToPath(new URL("./src", import.meta.url)),
+      };
+    `);
+    expect(config.src).toBe(path.join(CONFIG_DIR, "src"));
+  });
+
+  it("parses TypeScript configs", () => {
+    const config = evaluateConfig(
+      `
+      import type { UserConfig } from "vite";
+      const config: UserConfig = { resolve: { alias: { "@": "./src" } } };
+      export default config satisfies UserConfig;
+    `,
+      "vite.config.ts"
+    );
+    expect(config.resolve.alias).toEqual({ "@": "./src" });
+  });
+
+  it("marks calls to alias plugins", () => {
+    const config = evaluateConfig(`
+      import alias from "@rollup/plugin-alias";
+      export default { plugins: [alias({ entries: { a: "./a" } })] };
+    `);
+    expect(config.plugins[0][ALIAS_PLUGIN]).toEqual({ entries: { a: "./a" } });
+  });
+
+  it("lists the spreads it could not evaluate", () => {
+    const config = evaluateConfig(`
+      import { aliases } from "./aliases.js";
+      const base = { "@": "./src" };
+      export default {
+        ...base,
+        ...aliases,
+        ...(process.env.CI ? { ci: "./ci" } : {}),
+        ...(false && { off: "./off" }),
+      };
+    `);
+    expect(Object.entries(config)).toEqual([["@", "./src"]]);
+    expect(config[UNKNOWN_SPREADS]).toEqual(["...aliases", "a spread"]);
+  });
+
+  it("returns UNKNOWN for anything that needs the file to run", () => {
+    const config = evaluateConfig(`
+      import { aliases } from "./aliases.js";
+      export default {
+        env: process.env.SRC_DIR,
+        call: aliases(),
+        sum: 1 - 1,
+      };
+    `);
+    expect(config).toEqual({ env: UNKNOWN, call: UNKNOWN, sum: UNKNOWN });
+    expect(evaluateConfig("export const a = 1;")).toBe(UNKNOWN);
+  });
+});
@@ -0,0 +1,97 @@
+const path = require("path");
+const {
+  loadTsconfig,
+  resolveExtendsPath,
+  getPathsBase,
+} = require("../../../lib/utils/tsconfig");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/tsconfig");
+
+function fixture(fileName) {
+  return path.join(FIXTURE_DIR, fileName);
+}
+
+describe("loadTsconfig", () => {
+  it("merges an array of bases in order, then the config itself", () => {
+    const tsconfig = loadTsconfig(fixture("tsconfig.json"));
+
+    expect(tsconfig.errors).toEqual([]);
+    expect(tsconfig.compilerOptions).toMatchObject({
+      target: "es2020",
+      strict: true,
+      outDir: "./dist/*/",
+    });
+    expect(tsconfig.files).toEqual([
+      fixture("tsconfig.json"),
+      fixture("node_modules/@fixtures/tsconfig-base/base.json"),
+      fixture("configs/paths.json"),
+    ]);
+  });
+
+  it("resolves paths against the config that declares them", () => {
+    const tsconfig = loadTsconfig(fixture("tsconfig.json"));
+
+    expect(tsconfig.baseUrl).toBeNull();
+    expect(tsconfig.paths).toEqual({ "@/*": ["../src/*"] });
+    expect(tsconfig.pathsBasePath).toBe(fixture("configs"));
+    expect(getPathsBase(tsconfig)).toBe(fixture("configs"));
+  });
+
+  it("resolves an inherited baseUrl against the base and prefers it", () => {
+    const tsconfig = loadTsconfig(fixture("tsconfig.base-url.json"));
+
+    expect(tsconfig.baseUrl).toBe(fixture("src"));
+    expect(tsconfig.pathsBasePath).toBe(FIXTURE_DIR);
+    expect(getPathsBase(tsconfig)).toBe(fixture("src"));
+  });
+
+  it("loads a base shared by sibling bases for each of them", () => {
+    const tsconfig = loadTsconfig(fixture("diamond/tsconfig.json"));
+
+    // b.json inherits module: "commonjs" from base.json and comes last
+    expect(tsconfig.errors).toEqual([]);
+    expect(tsconfig.compilerOptions).toEqual({
+      target: "es5",
+      module: "commonjs",
+    });
+  });
+
+  it("collects problems instead of throwing", () => {
+    expect(loadTsconfig(fixture("circular/a.json")).errors).toEqual([
+      `Circular "extends" chain through ${fixture("circular/a.json")}`,
+    ]);
+    expect(loadTsconfig(fixture("broken/tsconfig.json")).errors).toEqual([
+      expect.stringMatching(/^Could not parse .*tsconfig\.json: /),
+    ]);
+
+    const missing = loadTsconfig(fixture("broken/tsconfig.missing.json"));
+    expect(missing.errors).toEqual([
+      `Could not resolve "extends": "./missing.json" in ${fixture(
+        "broken/tsconfig.missing.json"
+      )}`,
+    ]);
+    expect(missing.compilerOptions).toEqual({ strict: true });
+  });
+});
+
+describe("resolveExtendsPath", () => {
+  it("adds .json to relative paths", () => {
+    expect(resolveExtendsPath("./configs/paths", FIXTURE_DIR)).toBe(
+      fixture("configs/paths.json")
+    );
+  });
+
+  it("reads the tsconfig field of packages", () => {
+    expect(resolveExtendsPath("@fixtures/tsconfig-base", FIXTURE_DIR)).toBe(
+      fixture("node_modules/@fixtures/tsconfig-base/base.json")
+    );
+    expect(
+      resolveExtendsPath("@fixtures/tsconfig-base/base.json", FIXTURE_DIR)
+    ).toBe(fixture("node_modules/@fixtures/tsconfig-base/base.json"));
+  });
+
+  it("returns null for missing bases", () => {
+    expect(resolveExtendsPath("./missing", FIXTURE_DIR)).toBeNull();
+    expect(resolveExtendsPath("@fixtures/missing", FIXTURE_DIR)).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const { createUnifiedDiff } = require("../../../lib/utils/unified-diff");
+
+// "line 1\n" ... "line <count>\n"
+function numberedLines(count) {
+  return Array.from({ length: count }, (_, index) => `line ${index + 1}\n`);
+}
+
+describe("createUnifiedDiff", () => {
+  it("is empty for equal texts", () => {
+    expect(createUnifiedDiff("a.js", "same\n", "same\n")).toBe("");
+  });
+
+  it("shows a changed line with three lines of context", () => {
+    const before = numberedLines(10);
+    const after = before.slice();
+    after[4] = "changed\n";
+
+    expect(createUnifiedDiff("src/a.js", before.join(""), after.join("")))
+      .toBe(`--- a/src/a.js
++++ b/src/a.js
+@@ -2,7 +2,7 @@
+ line 2
+ line 3
+ line 4
+-line 5
++changed
+ line 6
+ line 7
+ line 8
+`);
+  });
+
+  it("shares a hunk between close changes and splits distant ones", () => {
+    const before = numberedLines(30);
+    const after = before.slice();
+    after[0] = "first\n";
+    after[6] = "close\n";
+    after[20] = "far\n";
+    const diff = createUnifiedDiff("a.js", before.join(""), after.join(""));
+
+    expect(diff.match(/^@@.*@@$/gm)).toEqual([
+      "@@ -1,10 +1,10 @@",
+      "@@ -18,7 +18,7 @@",
+    ]);
+  });
+
+  it("groups adjacent changed lines as removals then additions", () => {
+    const diff = createUnifiedDiff("a.js", "a\nb\nc\n", "A\nB\nc\n");
+
+    expect(diff).toBe(`--- a/a.js
++++ b/a.js
+@@ -1,3 +1,3 @@
+-a
+-b
++A
++B
+ c
+`);
+  });
+
+  it("marks a last line without a line break", () => {
+    expect(createUnifiedDiff("a.js", "a\nb", "a\nB")).toBe(`--- a/a.js
++++ b/a.js
+@@ -1,2 +1,2 @@
+ a
+-b
+\\ No newline at end of file
++B
+\\ No newline at end of file
+`);
+  });
+
+  it("replaces the whole file when the line count changes", () => {
+    expect(createUnifiedDiff("a.js", "a\n", "a\nb\n")).toBe(`--- a/a.js
++++ b/a.js
+@@ -1 +1,2 @@
+-a
++a
++b
+`);
+    expect(createUnifiedDiff("a.js", "", "a\n")).toBe(`--- a/a.js
++++ b/a.js
+@@ -0,0 +1 @@
++a
+`);
+  });
+});